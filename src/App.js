@@ -1,20 +1,85 @@
 // App.js
-import React, { useState, useRef, useEffect } from 'react';
+import React, { useState, useRef, useEffect, useMemo } from 'react';
 import './App.css';
 import GoogleTag from "./GoogleTag.js";
 import GoogleAnalytics from "./GoogleAnalytics.js";
+import FilmStockEditor from "./FilmStockEditor.js";
+import CameraKitEditor from "./CameraKitEditor.js";
+import RollLog from "./RollLog.js";
+import ExposureTimer from "./ExposureTimer.js";
+import {
+  builtInFilmPresets,
+  loadCustomFilmStocks,
+  saveCustomFilmStocks,
+  mergeFilmPresets,
+  assessLatitude,
+  getPushPull,
+  formatPushPull,
+} from "./filmPresets.js";
+import { builtInBodies, builtInLenses, loadCustomBodies, loadCustomLenses, saveCustomBodies, saveCustomLenses } from "./cameraKit.js";
+import { getRoll, saveRoll, captureThumbnail, getCurrentLocation, createSerialQueue } from "./rollStore.js";
+import {
+  DEFAULT_CENTER_FALLOFF,
+  CAMERA_HORIZONTAL_FOV,
+  spotSizeOptions,
+  DEFAULT_SPOT_SIZE,
+  DEFAULT_SPOT_POSITION,
+  overlayModes,
+  getFalseColorBands,
+  valueAtStops,
+  brightnessToValue,
+  shiftHistogram,
+  getClippingPercentages,
+  getSceneDynamicRange,
+} from "./frameAnalysis.js";
+import {
+  getExposureGrid,
+  DEFAULT_PINHOLE_SETTINGS,
+  calculatePinhole,
+  getPinholeGrid,
+  snapToScale,
+  referenceGray,
+  referenceEV,
+  calculateEV100,
+  DEFAULT_LENS_F_NUMBER,
+  getCameraExposureBase,
+  calculateIlluminance,
+  calculateExposureShutterPriority,
+  calculateExposureForEVShutterPriority,
+  calculateExposureAperturePriority,
+  calculateExposureForEVAperturePriority,
+  DEFAULT_MACRO_SETTINGS,
+  calculateBellowsFactor,
+  calculateReciprocityCorrection,
+  getEquivalentExposures,
+  MIDDLE_GRAY_ZONE,
+  analyzeZoneReadings,
+  flashPowerRatios,
+  DEFAULT_FLASH_SETTINGS,
+  calculateFlashExposure,
+} from "./exposureMath.js";
+import { startFramePipeline, getSourceSize, isSourceReady } from "./meterPipeline.js";
+import { I18nContext, useI18n, createI18n, languageOptions, loadLanguage, saveLanguage } from "./i18n.js";
 
-// 预先创建临时 canvas，用于直方图绘制，避免频繁创建销毁
-const tempCanvas = document.createElement('canvas');
+// 档位刻度：全档 / 1/2 档 / 1/3 档
+const exposureScaleOptions = [
+  { value: 'full', label: 'Full Stops' },
+  { value: 'half', label: '1/2 Stops' },
+  { value: 'third', label: '1/3 Stops' },
+];
 
-// Gamma 校正：sRGB 转换到线性 RGB
-const linearize = (c) => {
-  c /= 255;
-  return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+// ISO 和曝光补偿可选值（ISO 采用胶片/相机上标注的标准值）
+const isoValues = {
+  full: [6, 12, 25, 50, 100, 200, 400, 800, 1600, 3200, 6400],
+  half: [6, 9, 12, 18, 25, 35, 50, 70, 100, 140, 200, 280, 400, 560, 800, 1100, 1600, 2200, 3200, 4500, 6400],
+  third: [6, 8, 10, 12, 16, 20, 25, 32, 40, 50, 64, 80, 100, 125, 160, 200, 250, 320, 400, 500, 640, 800, 1000, 1250, 1600, 2000, 2500, 3200, 4000, 5000, 6400],
 };
+// 刻度外的值（如全档刻度下 box speed 为 160 的胶片）也加入选项，按大小插入；
+// 因此切换档位刻度时 ISO 保持不变，只有光圈和快门由曝光网格的 effect 吸附到新刻度
+function withScaleValue(values, value) {
+  return values.includes(value) ? values : [...values, value].sort((a, b) => a - b);
+}
 
-// ISO 和曝光补偿可选值
-const isoValues = [50, 64, 80, 100, 125, 160, 200, 250, 320, 400, 500, 640, 800, 1000, 1250, 1600, 3200];
 const compensationSteps = [-3, -2.7, -2.3, -2, -1.7, -1.3, -1, -0.7, -0.3, 0, 0.3, 0.7, 1, 1.3, 1.7, 2, 2.3, 2.7, 3];
 
 // 直方图阈值初始值
@@ -22,33 +87,35 @@ const DEFAULT_OVEREXPOSURE_THRESHOLD = 245;
 const DEFAULT_UNDEREXPOSURE_THRESHOLD = 15;
 
 /**
- * DocumentMetadata – 页面 Meta 标签
+ * DocumentMetadata – 页面 Meta 标签（按界面语言）
  */
 function DocumentMetadata() {
+  const { t, language } = useI18n();
   return (
     <>
-      <title>Film Camera Light Meter - Accurate Exposure Metering for Film Photography</title>
+      <title>{t('Film Camera Light Meter - Accurate Exposure Metering for Film Photography')}</title>
       <meta
         name="description"
-        content="An advanced film camera light meter app for accurate exposure metering using manual settings, center-weighted calculations, and real-time histogram analysis."
+        content={t('An advanced film camera light meter app for accurate exposure metering using manual settings, center-weighted calculations, and real-time histogram analysis.')}
       />
       <meta
         name="keywords"
-        content="Film, Camera, Light Meter, Exposure, EV, Manual Exposure, ISO, Aperture, Shutter Speed, Histogram, Photography"
+        content={t('Film, Camera, Light Meter, Exposure, EV, Manual Exposure, ISO, Aperture, Shutter Speed, Histogram, Photography')}
       />
       <meta name="viewport" content="width=device-width, initial-scale=1" />
-      <meta property="og:title" content="Film Camera Light Meter" />
+      <meta property="og:title" content={t('Film Camera Light Meter')} />
       <meta
         property="og:description"
-        content="Accurate exposure metering for film cameras using manual settings, center-weighted analysis and real-time histogram."
+        content={t('Accurate exposure metering for film cameras using manual settings, center-weighted analysis and real-time histogram.')}
       />
+      <meta property="og:locale" content={language.replace('-', '_')} />
       <meta property="og:type" content="website" />
       <meta property="og:url" content="http://tokugai.com" />
       <meta name="twitter:card" content="summary_large_image" />
-      <meta name="twitter:title" content="Film Camera Light Meter" />
+      <meta name="twitter:title" content={t('Film Camera Light Meter')} />
       <meta
         name="twitter:description"
-        content="Accurate exposure metering for film cameras using manual settings, center-weighted analysis and real-time histogram."
+        content={t('Accurate exposure metering for film cameras using manual settings, center-weighted analysis and real-time histogram.')}
       />
       <link rel="canonical" href="http://tokugai.com" />
       {/* 苹果设备及移动端优化 */}
@@ -60,200 +127,253 @@ function DocumentMetadata() {
   );
 }
 
-// 快门速度和光圈数据
-const standardShutterSpeeds = [
-  1 / 1000,
-  1 / 500,
-  1 / 250,
-  1 / 125,
-  1 / 60,
-  1 / 30,
-  1 / 15,
-  1 / 8,
-  1 / 4,
-  1 / 2,
-  1,
-];
-const standardApertures = [1.4, 2, 2.8, 4, 5.6, 8, 11, 16, 22];
-
-// 预生成 EV 表（基础数据）
-// EV 计算公式：log₂((光圈²) / 快门速度)
-const shutterApertureEV = standardShutterSpeeds.flatMap((s) =>
-  standardApertures.map((a) => ({
-    shutter: s,
-    aperture: a,
-    ev: Math.log2((a * a) / s),
-  }))
-);
-
-// 定义18%灰卡对应的参考值
-const referenceGray = 128;
-const referenceEV = 7;
+/****************************************************
+ * 画面在 object-fit: cover 下的实际显示尺寸与偏移
+ * 用于点击坐标与测光框位置的换算
+ ****************************************************/
+function getSourceDisplayGeometry(source) {
+  const { width, height } = getSourceSize(source);
+  if (!source || !source.clientWidth || !width) return null;
+  const scale = Math.max(source.clientWidth / width, source.clientHeight / height);
+  const displayWidth = width * scale;
+  const displayHeight = height * scale;
+  return {
+    displayWidth,
+    displayHeight,
+    offsetX: (source.clientWidth - displayWidth) / 2,
+    offsetY: (source.clientHeight - displayHeight) / 2,
+  };
+}
 
 /****************************************************
- * 计算视频帧中心区域的平均亮度
- * 转换为线性 RGB 后计算亮度（乘以255恢复范围）
+ * 在预览画面上绘制曝光叠加层（斑马纹 / 伪色）
+ * 画布与画面元素重合，叠加层按 object-fit: cover 的显示尺寸缩放
+ * overlay 为 Worker 返回的 ImageBitmap（绘制后释放）或主线程回退时的 ImageData
  ****************************************************/
-function computeBrightness(video, canvas, meteringMode) {
-  if (video.readyState !== 4 || video.paused) return 0;
+let overlayScratchCanvas = null;
+
+function drawExposureOverlay(canvas, overlay, source) {
+  const geometry = getSourceDisplayGeometry(source);
+  if (!geometry) return;
+  canvas.width = source.clientWidth;
+  canvas.height = source.clientHeight;
+  canvas.style.left = `${source.offsetLeft + source.clientLeft}px`;
+  canvas.style.top = `${source.offsetTop + source.clientTop}px`;
+  let image = overlay;
+  if (!overlay.close) {
+    if (!overlayScratchCanvas) overlayScratchCanvas = document.createElement('canvas');
+    overlayScratchCanvas.width = overlay.width;
+    overlayScratchCanvas.height = overlay.height;
+    overlayScratchCanvas.getContext('2d').putImageData(overlay, 0, 0);
+    image = overlayScratchCanvas;
+  }
   const ctx = canvas.getContext('2d');
-  const { videoWidth: width, videoHeight: height } = video;
-  if (width === 0 || height === 0) return 0;
-  
-  const downscaleWidth = Math.min(640, width);
-  const downscaleHeight = Math.min(480, height);
-  canvas.width = downscaleWidth;
-  canvas.height = downscaleHeight;
-  ctx.drawImage(video, 0, 0, downscaleWidth, downscaleHeight);
-  
-  let regionWidth, regionHeight;
-  if (meteringMode === 'spot') {
-    regionWidth = downscaleWidth * 0.03;
-    regionHeight = downscaleHeight * 0.03;
-  } else {
-    regionWidth = downscaleWidth * 0.2;
-    regionHeight = downscaleHeight * 0.2;
-  }
-  const startX = (downscaleWidth - regionWidth) / 2;
-  const startY = (downscaleHeight - regionHeight) / 2;
-  const imageData = ctx.getImageData(startX, startY, regionWidth, regionHeight);
-  const data = imageData.data;
-  
-  let total = 0, count = 0;
-  for (let i = 0; i < data.length; i += 4) {
-    const r = data[i], g = data[i + 1], b = data[i + 2];
-    const luminance = (0.2126 * linearize(r) + 0.7152 * linearize(g) + 0.0722 * linearize(b)) * 255;
-    total += luminance;
-    count++;
-  }
-  return count ? total / count : 0;
+  ctx.imageSmoothingEnabled = false;
+  ctx.drawImage(image, geometry.offsetX, geometry.offsetY, geometry.displayWidth, geometry.displayHeight);
+  if (overlay.close) overlay.close();
 }
 
 /****************************************************
- * 计算 EV 值
- * EV = referenceEV + log₂((avgBrightness × calibrationFactor)/referenceGray) + log₂(ISO/100)
+ * 测光模式显示：评价测光附带修正说明
  ****************************************************/
-function calculateEffectiveEV(avgBrightness, iso, compensation, calibrationFactor = 1.0) {
-  if (avgBrightness <= 0) return -Infinity;
-  const measuredEV =
-    referenceEV +
-    Math.log2((avgBrightness * calibrationFactor) / referenceGray) +
-    Math.log2(iso / 100);
-  return measuredEV + compensation;
+function describeMeteringResult(result, t) {
+  if (!result || !result.adjustments.length) return null;
+  const reasonLabels = { sky: 'sky excluded', backlight: 'backlight', highlights: 'highlight protection' };
+  return result.adjustments
+    .map(a => `${t(reasonLabels[a.reason])} ${a.ev >= 0 ? '+' : ''}${a.ev.toFixed(1)} EV`)
+    .join(', ');
+}
+
+// 手动曝光锁定的默认值（曝光时间以毫秒表示）
+const DEFAULT_PINNED_EXPOSURE = { enabled: false, exposureTimeMs: 10, iso: 100 };
+
+function getTrackSettings(stream) {
+  const track = stream && stream.getVideoTracks()[0];
+  return track && track.getSettings ? track.getSettings() : null;
+}
+
+function describeExposureBase(base, i18n) {
+  const { t } = i18n;
+  if (base.mode === 'absolute') {
+    return t('Absolute (camera {shutter}, ISO {iso}, f/{fNumber})', {
+      shutter: formatShutterSpeed(base.exposureTime, i18n),
+      iso: Math.round(base.iso),
+      fNumber: base.lensFNumber,
+    });
+  }
+  if (!base.cameraCompensation) return t('Relative');
+  return t('Relative, camera compensation {compensation} EV removed', {
+    compensation: `${base.cameraCompensation > 0 ? '+' : ''}${base.cameraCompensation.toFixed(1)}`,
+  });
 }
 
 /****************************************************
- * 快门优先曝光计算
+ * 镜头滤镜
+ * stops 为默认滤镜系数（档）；黑白反差滤镜的系数随胶片感色性不同，
+ * 胶片预设中的 filterFactors 会覆盖默认值
  ****************************************************/
-function calculateExposureShutterPriority(avgBrightness, iso, compensation, chosenShutter, calibrationFactor = 1.0) {
-  const effectiveEV = calculateEffectiveEV(avgBrightness, iso, compensation, calibrationFactor);
-  const candidates = shutterApertureEV.filter(c => c.shutter === chosenShutter);
-  let closestCandidate = null, minDiff = Infinity;
-  candidates.forEach(candidate => {
-    const diff = Math.abs(candidate.ev - effectiveEV);
-    if (diff < minDiff) {
-      minDiff = diff;
-      closestCandidate = candidate;
-    }
-  });
-  const evDifference = closestCandidate ? closestCandidate.ev - effectiveEV : 0;
-  return { shutterSpeed: chosenShutter, aperture: closestCandidate ? closestCandidate.aperture : 0, effectiveEV, evDifference };
+const lensFilters = {
+  'nd-1': { label: 'ND 0.3 (1 stop)', stops: 1 },
+  'nd-2': { label: 'ND 0.6 (2 stops)', stops: 2 },
+  'nd-3': { label: 'ND 0.9 (3 stops)', stops: 3 },
+  'nd-6': { label: 'ND 1.8 (6 stops)', stops: 6 },
+  'nd-10': { label: 'ND 3.0 (10 stops)', stops: 10 },
+  polarizer: { label: 'Polarizer', stops: 1.5 },
+  'yellow-8': { label: 'Yellow #8', stops: 1, blackAndWhite: true },
+  'yellow-green-11': { label: 'Yellow-Green #11', stops: 2, blackAndWhite: true },
+  'orange-21': { label: 'Orange #21', stops: 2, blackAndWhite: true },
+  'red-25': { label: 'Red #25', stops: 3, blackAndWhite: true },
+  'deep-red-29': { label: 'Deep Red #29', stops: 4, blackAndWhite: true },
+};
+
+function getFilterStops(filterId, preset) {
+  if (preset && preset.filterFactors && preset.filterFactors[filterId] !== undefined) {
+    return preset.filterFactors[filterId];
+  }
+  return lensFilters[filterId] ? lensFilters[filterId].stops : 0;
+}
+
+// 入射式测光：镜头前覆盖白色漫射片（白纸或半个乒乓球），使用独立的校准系数
+const DEFAULT_INCIDENT_CALIBRATION_FACTOR = 0.5;
+function formatIlluminance(value, formatNumber) {
+  return value >= 100 ? formatNumber(Math.round(value)) : formatNumber(value, 1);
 }
 
 /****************************************************
- * 光圈优先曝光计算
+ * 快门速度显示格式：1/4 秒及更快显示为分数，
+ * 0.3 秒以上按标注显示小数秒，1 分钟以上显示分秒，1 小时以上显示时分
+ * 单位与数字格式随界面语言（i18n 见 createI18n）
  ****************************************************/
-function calculateExposureAperturePriority(avgBrightness, iso, compensation, chosenAperture, calibrationFactor = 1.0) {
-  const effectiveEV = calculateEffectiveEV(avgBrightness, iso, compensation, calibrationFactor);
-  const candidates = shutterApertureEV.filter(c => c.aperture === chosenAperture);
-  let closestCandidate = null, minDiff = Infinity;
-  candidates.forEach(candidate => {
-    const diff = Math.abs(candidate.ev - effectiveEV);
-    if (diff < minDiff) {
-      minDiff = diff;
-      closestCandidate = candidate;
-    }
-  });
-  const evDifference = closestCandidate ? closestCandidate.ev - effectiveEV : 0;
-  return { shutterSpeed: closestCandidate ? closestCandidate.shutter : 0, aperture: chosenAperture, effectiveEV, evDifference };
+const defaultI18n = createI18n('en');
+
+// 记录帧的读取与保存逐个执行
+const recordFrameQueue = createSerialQueue();
+
+function formatShutterSpeed(shutterSpeed, { t, formatNumber } = defaultI18n) {
+  if (shutterSpeed > 0 && shutterSpeed < 0.3) return t('1/{denominator} sec', { denominator: Math.round(1 / shutterSpeed) });
+  if (shutterSpeed >= 3600) {
+    const totalMinutes = Math.round(shutterSpeed / 60);
+    return t('{hours}h {minutes}m', { hours: formatNumber(Math.floor(totalMinutes / 60)), minutes: totalMinutes % 60 });
+  }
+  if (shutterSpeed >= 60) {
+    const totalSeconds = Math.round(shutterSpeed);
+    return t('{minutes}m {seconds}s', { minutes: Math.floor(totalSeconds / 60), seconds: totalSeconds % 60 });
+  }
+  const seconds = Math.round(shutterSpeed * 10) / 10;
+  return t('{seconds} sec', { seconds: formatNumber(seconds, seconds % 1 === 0 ? 0 : 1) });
+}
+
+function formatAperture(aperture) {
+  return `f/${aperture % 1 === 0 ? aperture.toFixed(0) : aperture.toFixed(1)}`;
 }
 
+// 直方图顶部留出削波比例，底部留出档位刻度（CSS 像素）
+const HISTOGRAM_LABEL_HEIGHT = 12;
+const HISTOGRAM_AXIS_HEIGHT = 12;
+// 刻度范围：相对中灰 -5 ~ +2 档，对应 Zone 0 ~ Zone VII
+const HISTOGRAM_STOPS = [-5, -4, -3, -2, -1, 0, 1, 2];
+const histogramChannelColors = { red: 'rgba(255, 40, 40, 0.75)', green: 'rgba(40, 255, 40, 0.75)', blue: 'rgba(60, 90, 255, 0.75)' };
+
 /****************************************************
- * 绘制直方图
- * 当 colorChannelMode 为 'combined' 时使用整体亮度直方图；
- * 为 'separate' 时分别绘制 R、G、B 通道直方图。
+ * 绘制直方图（数据来自帧分析管线），所有通道均按曝光补偿平移
+ * colorChannelMode：
+ *   'combined' 整体亮度直方图，按阈值着色
+ *   'overlay'  R、G、B 叠加绘制，重叠处混色
+ *   'separate' R、G、B 分三栏绘制
+ * logScale：纵轴取 log(1 + 计数)，暗部、高光的少量像素也能看到
+ * 横轴标出相对中灰的档位与区域；meteredValue 为测光读数的 8 位值，以虚线标出
+ * 画布按 devicePixelRatio 设置尺寸，绘制时使用 CSS 像素坐标
  ****************************************************/
-function drawHistogram(video, canvas, compensation, underExposureThreshold, overExposureThreshold, colorChannelMode = 'combined') {
-  if (video.readyState !== 4 || video.paused) return;
-  const downscaleWidth = Math.min(640, video.videoWidth);
-  const downscaleHeight = Math.min(480, video.videoHeight);
+function drawHistogram(canvas, histograms, {
+  compensation,
+  underExposureThreshold,
+  overExposureThreshold,
+  colorChannelMode = 'combined',
+  logScale = false,
+  meteredValue = null,
+}) {
+  const dpr = window.devicePixelRatio || 1;
+  const width = canvas.clientWidth || 320;
+  const height = canvas.clientHeight || 150;
+  if (canvas.width !== Math.round(width * dpr) || canvas.height !== Math.round(height * dpr)) {
+    canvas.width = Math.round(width * dpr);
+    canvas.height = Math.round(height * dpr);
+  }
   const ctx = canvas.getContext('2d');
-  tempCanvas.width = downscaleWidth;
-  tempCanvas.height = downscaleHeight;
-  const tempCtx = tempCanvas.getContext('2d');
-  try {
-    tempCtx.drawImage(video, 0, 0, downscaleWidth, downscaleHeight);
-  } catch (err) {
-    console.error('drawImage error:', err);
-    return;
-  }
-  
-  if (colorChannelMode === 'combined') {
-    const imageData = tempCtx.getImageData(0, 0, downscaleWidth, downscaleHeight);
-    const data = imageData.data;
-    const histogram = new Array(256).fill(0);
-    for (let i = 0; i < data.length; i += 4) {
-      if ((i / 4) % 2 === 0) {
-        const brightness = Math.floor(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]);
-        const adjusted = brightness * Math.pow(2, compensation);
-        const adjustedBrightness = Math.min(Math.round(adjusted), 255);
-        histogram[adjustedBrightness]++;
-      }
-    }
-    const histWidth = 320, histHeight = 150;
-    canvas.width = histWidth;
-    canvas.height = histHeight;
-    const maxCount = Math.max(...histogram) || 1;
-    const scaleX = histWidth / 256;
-    ctx.clearRect(0, 0, histWidth, histHeight);
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  ctx.clearRect(0, 0, width, height);
+
+  const plotTop = HISTOGRAM_LABEL_HEIGHT;
+  const plotHeight = height - HISTOGRAM_LABEL_HEIGHT - HISTOGRAM_AXIS_HEIGHT;
+  const plotBottom = plotTop + plotHeight;
+  const scaleCount = logScale ? Math.log1p : (count) => count;
+  const barHeight = (count, maxCount) => (scaleCount(count) / scaleCount(maxCount)) * plotHeight;
+
+  // 每栏一个通道；combined / overlay 只有一栏
+  const channels = colorChannelMode === 'combined' ? ['luma'] : ['red', 'green', 'blue'];
+  const sliceCount = colorChannelMode === 'separate' ? 3 : 1;
+  const sliceWidth = width / sliceCount;
+  const binWidth = sliceWidth / 256;
+  const shifted = Object.fromEntries(channels.map(channel => [channel, shiftHistogram(histograms[channel], compensation)]));
+
+  channels.forEach((channel, index) => {
+    const histogram = shifted[channel];
+    const left = colorChannelMode === 'separate' ? index * sliceWidth : 0;
+    const maxCount = Math.max(...histogram, 1);
+    ctx.globalCompositeOperation = colorChannelMode === 'overlay' ? 'lighter' : 'source-over';
     for (let i = 0; i < 256; i++) {
-      const binHeight = (histogram[i] / maxCount) * histHeight;
-      ctx.fillStyle = i > overExposureThreshold ? 'red' : i < underExposureThreshold ? 'blue' : 'green';
-      ctx.fillRect(i * scaleX, histHeight - binHeight, scaleX, binHeight);
+      if (!histogram[i]) continue;
+      const h = barHeight(histogram[i], maxCount);
+      ctx.fillStyle = channel === 'luma'
+        ? (i > overExposureThreshold ? 'red' : i < underExposureThreshold ? 'blue' : 'green')
+        : histogramChannelColors[channel];
+      ctx.fillRect(left + i * binWidth, plotBottom - h, binWidth, h);
     }
-  } else if (colorChannelMode === 'separate') {
-    const imageData = tempCtx.getImageData(0, 0, downscaleWidth, downscaleHeight);
-    const data = imageData.data;
-    const redHistogram = new Array(256).fill(0);
-    const greenHistogram = new Array(256).fill(0);
-    const blueHistogram = new Array(256).fill(0);
-    for (let i = 0; i < data.length; i += 4) {
-      if ((i / 4) % 2 === 0) {
-        redHistogram[data[i]]++;
-        greenHistogram[data[i + 1]]++;
-        blueHistogram[data[i + 2]]++;
+  });
+  ctx.globalCompositeOperation = 'source-over';
+
+  // 档位刻度与区域：每栏画网格线，只有单栏时标注文字
+  ctx.font = '9px monospace';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'top';
+  for (let slice = 0; slice < sliceCount; slice++) {
+    HISTOGRAM_STOPS.forEach(stops => {
+      const x = slice * sliceWidth + valueAtStops(stops) * binWidth;
+      ctx.fillStyle = stops === 0 ? 'rgba(255, 255, 255, 0.6)' : 'rgba(255, 255, 255, 0.25)';
+      ctx.fillRect(x, plotTop, 1, plotHeight + 3);
+      if (sliceCount === 1) {
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+        ctx.fillText(stops > 0 ? `+${stops}` : String(stops), x, plotBottom + 3);
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.fillText(zoneNumerals[stops + MIDDLE_GRAY_ZONE], x, plotTop + 1);
       }
+    });
+  }
+
+  // 测光读数标记
+  if (meteredValue !== null) {
+    const value = Math.min(meteredValue * Math.pow(2, compensation), 255);
+    ctx.strokeStyle = '#FF69B4';
+    ctx.setLineDash([3, 3]);
+    ctx.beginPath();
+    for (let slice = 0; slice < sliceCount; slice++) {
+      const x = slice * sliceWidth + value * binWidth;
+      ctx.moveTo(x, plotTop);
+      ctx.lineTo(x, plotBottom);
     }
-    const histWidth = 320, histHeight = 150;
-    canvas.width = histWidth;
-    canvas.height = histHeight;
-    const sliceWidth = histWidth / 3;
-    const maxRed = Math.max(...redHistogram) || 1;
-    const maxGreen = Math.max(...greenHistogram) || 1;
-    const maxBlue = Math.max(...blueHistogram) || 1;
-    ctx.clearRect(0, 0, histWidth, histHeight);
-    for (let i = 0; i < 256; i++) {
-      const binHeightR = (redHistogram[i] / maxRed) * histHeight;
-      ctx.fillStyle = 'red';
-      ctx.fillRect((i / 256) * sliceWidth, histHeight - binHeightR, sliceWidth / 256, binHeightR);
-      const binHeightG = (greenHistogram[i] / maxGreen) * histHeight;
-      ctx.fillStyle = 'green';
-      ctx.fillRect(sliceWidth + (i / 256) * sliceWidth, histHeight - binHeightG, sliceWidth / 256, binHeightG);
-      const binHeightB = (blueHistogram[i] / maxBlue) * histHeight;
-      ctx.fillStyle = 'blue';
-      ctx.fillRect(2 * sliceWidth + (i / 256) * sliceWidth, histHeight - binHeightB, sliceWidth / 256, binHeightB);
-    }
+    ctx.stroke();
+    ctx.setLineDash([]);
   }
+
+  // 削波比例：左上角为暗部，右上角为高光
+  const clipping = getClippingPercentages(histograms, compensation, underExposureThreshold, overExposureThreshold);
+  const channelLabels = { luma: '', red: 'R', green: 'G', blue: 'B' };
+  const describe = (key) => channels.map(channel => `${channelLabels[channel]}${clipping[channel][key].toFixed(1)}`).join(' ') + '%';
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+  ctx.textAlign = 'left';
+  ctx.fillText(`▼ ${describe('shadows')}`, 2, 1);
+  ctx.textAlign = 'right';
+  ctx.fillText(`${describe('highlights')} ▲`, width - 2, 1);
 }
 
 /****************************************************
@@ -267,166 +387,382 @@ function getSceneDescription(effectiveEV) {
   else return 'Very low light';
 }
 
-function App() {
-  // 步骤状态：'permission'、'iso'、'meter'
+// 区域系统：Zone 0–X 的罗马数字标注，Zone V 为 18% 中灰
+const zoneNumerals = ['0', 'I', 'II', 'III', 'IV', 'V', 'VI', 'VII', 'VIII', 'IX', 'X'];
+
+// 测光模式说明文字
+const meteringModeLabels = {
+  center: 'center-weighted (Gaussian falloff)',
+  average: 'average (full frame)',
+  evaluative: 'evaluative (5×5 zones)',
+  spot: 'spot (tap to place)',
+  zone: 'Zone System (multi-spot placement)',
+};
+
+function formatZone(zone, t) {
+  if (zone < -0.5 || zone > 10.5) return zone < 0 ? t('Below 0') : t('Above X');
+  const offset = zone - Math.round(zone);
+  const label = t('Zone {numeral}', { numeral: zoneNumerals[Math.round(zone)] });
+  return `${label}${Math.abs(offset) >= 0.05 ? ` (${offset > 0 ? '+' : ''}${offset.toFixed(1)})` : ''}`;
+}
+
+/****************************************************
+ * 相机校准档案
+ * 每个摄像头（广角、超广角、长焦等）单独保存校准系数，
+ * calibrated 表示用户为该摄像头手动校准过（输入或灰卡自动校准），只有这时其反射校准系数才优先于胶片预设；
+ * 按 deviceId 查找；deviceId 变化（如 Safari 会定期重置）时按 label 匹配
+ ****************************************************/
+const CAMERA_PROFILES_KEY = 'cameraProfiles';
+
+function loadCameraProfiles() {
+  try {
+    const profiles = JSON.parse(localStorage.getItem(CAMERA_PROFILES_KEY));
+    return Array.isArray(profiles) ? profiles : [];
+  } catch (err) {
+    console.error('Camera profile parse error:', err);
+    return [];
+  }
+}
+
+function findCameraProfile(profiles, camera) {
+  return profiles.find(p => p.deviceId === camera.deviceId) || profiles.find(p => camera.label && p.label === camera.label) || null;
+}
+
+function saveCameraProfile(camera, factors) {
+  const profiles = loadCameraProfiles();
+  const existing = findCameraProfile(profiles, camera);
+  const profile = { deviceId: camera.deviceId, label: camera.label, ...factors };
+  const updated = existing ? profiles.map(p => (p === existing ? profile : p)) : [...profiles, profile];
+  localStorage.setItem(CAMERA_PROFILES_KEY, JSON.stringify(updated));
+}
+
+/**
+ * ZoneSystemPanel – 区域系统多点测光面板
+ */
+function ZoneSystemPanel({ readings, anchorId, anchorZone, analysis, liveEV, onAddReading, onRemoveReading, onClear, onAnchorChange, onAnchorZoneChange }) {
+  const { t } = useI18n();
+  const anchor = readings.find(r => r.id === anchorId);
+  const liveZone = anchor && Number.isFinite(liveEV) ? anchorZone + (liveEV - anchor.ev) : null;
+  return (
+    <div className="zone-panel">
+      <div className="zone-controls">
+        <button onClick={onAddReading} className="btn small">{t('Add Reading')}</button>
+        <label>
+          {t('Place anchor on:')}
+          <select value={anchorZone} onChange={(e) => onAnchorZoneChange(parseInt(e.target.value, 10))} className="select">
+            {zoneNumerals.map((numeral, zone) => (<option key={zone} value={zone}>{t('Zone {numeral}', { numeral })}</option>))}
+          </select>
+        </label>
+        {readings.length > 0 && <button onClick={onClear} className="btn small">{t('Clear')}</button>}
+      </div>
+      {liveZone !== null && <p className="note">{t('Live spot: {zone}', { zone: formatZone(liveZone, t) })}</p>}
+      <div className="zone-scale">
+        {zoneNumerals.map((numeral, zone) => (
+          <div key={zone} className="zone-cell" style={{ background: `rgb(${zone * 25}, ${zone * 25}, ${zone * 25})`, color: zone < 6 ? '#fff' : '#000' }}>
+            <span>{numeral}</span>
+            {analysis && analysis.placed
+              .filter(r => Math.round(Math.max(0, Math.min(10, r.zone))) === zone)
+              .map(r => (<span key={r.id} className={r.id === anchorId ? 'zone-marker anchor' : 'zone-marker'}>{r.label}</span>))}
+          </div>
+        ))}
+      </div>
+      {analysis && (
+        <ul className="zone-readings">
+          {analysis.placed.map(r => (
+            <li key={r.id}>
+              <label>
+                <input type="radio" name="zone-anchor" checked={r.id === anchorId} onChange={() => onAnchorChange(r.id)} />
+                {r.label}: EV {r.ev.toFixed(1)} → {formatZone(r.zone, t)}
+              </label>
+              <button onClick={() => onRemoveReading(r.id)} className="btn small">×</button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {analysis && readings.length > 1 && (
+        <p>
+          {t('Brightness range: {range} stops · Development: {development}', {
+            range: analysis.brightnessRange.toFixed(1),
+            development: analysis.development,
+          })}
+        </p>
+      )}
+    </div>
+  );
+}
+
+/**
+ * FlashPanel – 闪光灯计算面板
+ */
+function FlashPanel({ settings, onChange, iso, result, formatApertureLabel }) {
+  const i18n = useI18n();
+  const { t } = i18n;
+  return (
+    <div className="flash-panel">
+      <div className="flash-inputs">
+        <label>
+          {t('Guide Number (m, ISO 100):')}
+          <input type="number" value={settings.guideNumber} onChange={(e) => onChange({ guideNumber: parseFloat(e.target.value) })} min={1} step={1} />
+        </label>
+        <label>
+          {t('Power:')}
+          <select value={settings.power} onChange={(e) => onChange({ power: parseFloat(e.target.value) })} className="select">
+            {flashPowerRatios.map(ratio => (<option key={ratio} value={ratio}>{ratio === 1 ? '1/1' : `1/${Math.round(1 / ratio)}`}</option>))}
+          </select>
+        </label>
+        <label>
+          {t('Distance (m):')}
+          <input type="number" value={settings.distance} onChange={(e) => onChange({ distance: parseFloat(e.target.value) })} min={0.1} step={0.1} />
+        </label>
+        <label>
+          {t('Sync Speed:')}
+          <select value={settings.syncSpeed} onChange={(e) => onChange({ syncSpeed: parseFloat(e.target.value) })} className="select">
+            {[1 / 30, 1 / 60, 1 / 125, 1 / 250, 1 / 500].map(speed => (<option key={speed} value={speed}>{formatShutterSpeed(speed, i18n)}</option>))}
+          </select>
+        </label>
+      </div>
+      {result ? (
+        <>
+          <p>
+            {t('Flash Aperture (ISO {iso}): {aperture} (exact f/{exact})', {
+              iso,
+              aperture: formatApertureLabel(result.aperture),
+              exact: result.exactAperture.toFixed(1),
+            })}
+          </p>
+          <p>{t('Sync-safe Shutter: {shutter}', { shutter: formatShutterSpeed(result.shutter, i18n) })}</p>
+          {result.ambientStops !== null && (
+            <p>
+              {t('Ambient: {stops} EV · Flash:Ambient = {ratio}:1', {
+                stops: `${result.ambientStops >= 0 ? '+' : ''}${result.ambientStops.toFixed(1)}`,
+                ratio: result.flashToAmbientRatio.toFixed(1),
+              })}
+            </p>
+          )}
+          {result.ambientOverpowers && (
+            <p className="warning">{t('Ambient light overpowers the flash at the sync speed. Stop down, add ND, or increase flash power.')}</p>
+          )}
+        </>
+      ) : (
+        <p className="note">{t('Enter a guide number and subject distance.')}</p>
+      )}
+    </div>
+  );
+}
+
+function App({ onLanguageChange }) {
+  const i18n = useI18n();
+  const { t, language } = i18n;
+  const formatShutter = (shutterSpeed) => formatShutterSpeed(shutterSpeed, i18n);
+  // 步骤状态：'permission'、'iso'、'films'、'meter'
   const [step, setStep] = useState('permission');
   const [stream, setStream] = useState(null);
+  const [videoDevices, setVideoDevices] = useState([]); // 可用摄像头列表 { deviceId, label }
+  const [activeCamera, setActiveCamera] = useState(null); // 当前使用的摄像头 { deviceId, label }
   const [iso, setIso] = useState(100);
   const [compensation, setCompensation] = useState(0);
   const [priorityMode, setPriorityMode] = useState('aperture'); // 'shutter' 或 'aperture'
   const [calibrationFactor, setCalibrationFactor] = useState(0.85);
-  const [meteringMode, setMeteringMode] = useState('center');
+  // 当前摄像头的反射校准系数是否由用户手动校准（否则随胶片预设变化）
+  const [cameraCalibrated, setCameraCalibrated] = useState(false);
+  const [lightMeasurement, setLightMeasurement] = useState('reflected'); // 'reflected' 或 'incident'
+  const [incidentCalibrationFactor, setIncidentCalibrationFactor] = useState(DEFAULT_INCIDENT_CALIBRATION_FACTOR);
+  // 当前测光方式实际使用的校准系数
+  const activeCalibrationFactor = lightMeasurement === 'incident' ? incidentCalibrationFactor : calibrationFactor;
+  // 绝对测光：手机镜头光圈（随摄像头档案保存）与手动曝光锁定
+  const [lensFNumber, setLensFNumber] = useState(DEFAULT_LENS_F_NUMBER);
+  const [cameraCapabilities, setCameraCapabilities] = useState({});
+  const [pinnedExposure, setPinnedExposure] = useState(DEFAULT_PINNED_EXPOSURE);
+  const exposurePinnedRef = useRef(false);
+  const canPinExposure = Boolean(
+    cameraCapabilities.exposureMode && cameraCapabilities.exposureMode.includes('manual') && cameraCapabilities.exposureTime && cameraCapabilities.iso
+  );
+  const [meteringMode, setMeteringMode] = useState('center'); // 'center'、'average'、'evaluative'、'spot' 或 'zone'
+  const [centerFalloff, setCenterFalloff] = useState(DEFAULT_CENTER_FALLOFF);
+  const [spotSize, setSpotSize] = useState(DEFAULT_SPOT_SIZE); // 点测光视角（度）
+  const [spotPosition, setSpotPosition] = useState(DEFAULT_SPOT_POSITION);
+  const [exposureScale, setExposureScale] = useState('full'); // 'full'、'half' 或 'third'
+  // 机身与镜头档案：按名称选择，空字符串表示不限制
+  const [customBodies, setCustomBodies] = useState(loadCustomBodies);
+  const [customLenses, setCustomLenses] = useState(loadCustomLenses);
+  const [bodyName, setBodyName] = useState('');
+  const [lensName, setLensName] = useState('');
+  const cameraBodies = [...builtInBodies, ...customBodies];
+  const cameraLenses = [...builtInLenses, ...customLenses];
+  const activeBody = cameraBodies.find(b => b.name === bodyName) || null;
+  const activeLens = cameraLenses.find(l => l.name === lensName) || null;
+  // 针孔模式：光圈固定为针孔的 f 值，只能光圈优先，曝光时间连续计算
+  const [pinholeSettings, setPinholeSettings] = useState(DEFAULT_PINHOLE_SETTINGS);
+  const pinhole = calculatePinhole(pinholeSettings);
+  const pinholeFNumber = pinhole ? pinhole.fNumber : null;
+  const updatePinholeSettings = (changes) => setPinholeSettings(prev => ({ ...prev, ...changes }));
+  const exposureGrid = useMemo(
+    () => (pinholeFNumber ? getPinholeGrid(pinholeFNumber) : getExposureGrid(exposureScale, activeBody, activeLens)),
+    [pinholeFNumber, exposureScale, activeBody, activeLens]
+  );
   // 新增状态变量
   const [smoothingFactor, setSmoothingFactor] = useState(0.1);
-  const [colorChannelMode, setColorChannelMode] = useState('combined');
+  const [colorChannelMode, setColorChannelMode] = useState('combined'); // 'combined'、'overlay' 或 'separate'
+  const [histogramLogScale, setHistogramLogScale] = useState(false);
+  const [activeFilters, setActiveFilters] = useState([]); // 镜头上的滤镜叠加，lensFilters 的 key
+  const [macroSettings, setMacroSettings] = useState(DEFAULT_MACRO_SETTINGS);
+  const [flashEnabled, setFlashEnabled] = useState(false);
+  const [flashSettings, setFlashSettings] = useState(DEFAULT_FLASH_SETTINGS);
   const [filmPreset, setFilmPreset] = useState('custom');
-  const filmPresets = {
-    'Kodak Portra 400': {
-      calibrationFactor: 0.92,
-      overExposureThreshold: 250,
-      underExposureThreshold: 10,
-      recommendedCompensation: 0.3,
-      description: 'Warm tones, excellent skin rendition, slight contrast boost.',
-    },
-    'Ilford HP5': {
-      calibrationFactor: 0.85,
-      overExposureThreshold: 245,
-      underExposureThreshold: 15,
-      recommendedCompensation: 0.0,
-      description: 'Classic black & white film with moderate contrast.',
-    },
-    'Fuji Superia X-TRA 400': {
-      calibrationFactor: 0.88,
-      overExposureThreshold: 248,
-      underExposureThreshold: 12,
-      recommendedCompensation: 0.2,
-      description: 'Versatile color film delivering vibrant hues with moderate contrast.',
-    },
-    'Kodak Tri-X 400': {
-      calibrationFactor: 0.87,
-      overExposureThreshold: 240,
-      underExposureThreshold: 18,
-      recommendedCompensation: 0.0,
-      description: 'High contrast black & white film, forgiving of slight exposure errors.',
-    },
-    'Kodak Portra 160': {
-      calibrationFactor: 0.93,
-      overExposureThreshold: 255,
-      underExposureThreshold: 8,
-      recommendedCompensation: 0.2,
-      description: 'Low ISO film with fine grain and natural color reproduction.',
-    },
-    'Fujifilm Pro 400H': {
-      calibrationFactor: 0.90,
-      overExposureThreshold: 252,
-      underExposureThreshold: 10,
-      recommendedCompensation: 0.1,
-      description: 'Soft contrast and pastel tones, ideal for portrait photography.',
-    },
-    'Kodak Ektar 100': {
-      calibrationFactor: 0.95,
-      overExposureThreshold: 255,
-      underExposureThreshold: 5,
-      recommendedCompensation: 0.2,
-      description: 'Highly saturated, vivid color film with fine grain.',
-    },
-    'Fujifilm Velvia 50': {
-      calibrationFactor: 0.94,
-      overExposureThreshold: 253,
-      underExposureThreshold: 6,
-      recommendedCompensation: 0.4,
-      description: 'High contrast and vibrant color slide film, excellent for landscapes.',
-    },
-    'Fujifilm Provia 100F': {
-      calibrationFactor: 0.91,
-      overExposureThreshold: 250,
-      underExposureThreshold: 8,
-      recommendedCompensation: 0.1,
-      description: 'Slide film with natural color rendition and fine grain.',
-    },
-    'Kodak Gold 200': {
-      calibrationFactor: 0.93,
-      overExposureThreshold: 248,
-      underExposureThreshold: 12,
-      recommendedCompensation: 0.1,
-      description: 'Budget color negative film with warm tones and moderate saturation.',
-    },
-    'Ilford Delta 3200': {
-      calibrationFactor: 0.86,
-      overExposureThreshold: 240,
-      underExposureThreshold: 20,
-      recommendedCompensation: 0.0,
-      description: 'High speed black & white film, ideal for low light with distinctive grain.',
-    },
-    'AgfaPhoto Vista Plus 200': {
-      calibrationFactor: 0.92,
-      overExposureThreshold: 250,
-      underExposureThreshold: 10,
-      recommendedCompensation: 0.0,
-      description: 'Affordable color negative film with balanced contrast and color.',
-    },
-    'Cinestill 800T': {
-      calibrationFactor: 0.89,
-      overExposureThreshold: 247,
-      underExposureThreshold: 15,
-      recommendedCompensation: 0.2,
-      description: 'Tungsten-balanced film for night photography with a unique halation effect.',
-    },
-    'Lomography Color Negative 400': {
-      calibrationFactor: 0.90,
-      overExposureThreshold: 250,
-      underExposureThreshold: 10,
-      recommendedCompensation: 0.0,
-      description: 'Creative color negative film with saturated colors and soft contrast.',
-    },
-    'Fujifilm Natura 1600': {
-      calibrationFactor: 0.88,
-      overExposureThreshold: 245,
-      underExposureThreshold: 15,
-      recommendedCompensation: 0.0,
-      description: 'High speed color film with natural tones in low light conditions.',
-    },
-    'Ilford Pan F Plus 50': {
-      calibrationFactor: 0.95,
-      overExposureThreshold: 255,
-      underExposureThreshold: 5,
-      recommendedCompensation: 0.2,
-      description: 'Low ISO black & white film with extremely fine grain and high resolution.',
-    },
-    'Rollei Retro 80S': {
-      calibrationFactor: 0.90,
-      overExposureThreshold: 250,
-      underExposureThreshold: 10,
-      recommendedCompensation: 0.0,
-      description: 'High contrast black & white film known for its unique tonality.',
-    },
-    // 可根据需要进一步扩充更多胶片预设……
-  };
+  // 用户自定义胶片（内置预设只读）
+  const [customFilmStocks, setCustomFilmStocks] = useState(loadCustomFilmStocks);
+  const filmPresets = mergeFilmPresets(customFilmStocks);
+  // iso 即曝光指数（EI）；选择胶片时与标称 ISO 比较得出增感 / 减感
+  const activeFilmStock = filmPreset !== 'custom' ? filmPresets[filmPreset] : null;
+  const pushPull = activeFilmStock ? getPushPull(activeFilmStock, iso) : null;
+  // 增感 / 减感的显示文字（已翻译），按标称 ISO 使用时为空字符串
+  const pushPullLabel = pushPull ? formatPushPull(pushPull.stops, t) : '';
+  const isoOptions = withScaleValue(isoValues[exposureScale], iso);
+  // 滤镜叠加的总系数（档），黑白滤镜按当前胶片取值
+  const filterStops = activeFilters.reduce(
+    (total, id) => total + getFilterStops(id, filmPreset !== 'custom' ? filmPresets[filmPreset] : null),
+    0
+  );
+  const bellows = calculateBellowsFactor(macroSettings);
+  // 滤镜与皮腔延伸合计损失的光量（档）
+  const lightLossStops = filterStops + bellows.stops;
+  // 标称光圈 → 有效光圈的显示文字（未启用近摄时只显示标称值）
+  const formatApertureWithEffective = (aperture) =>
+    bellows.magnification > 0 ? `${formatAperture(aperture)} (eff. ${formatAperture(aperture * (1 + bellows.magnification))})` : formatAperture(aperture);
+  const updateMacroSettings = (changes) => setMacroSettings(prev => ({ ...prev, ...changes }));
+  // 区域系统：多点读数与锚点放置
+  const [zoneReadings, setZoneReadings] = useState([]);
+  const [zoneAnchorId, setZoneAnchorId] = useState(null);
+  const [zoneAnchorZone, setZoneAnchorZone] = useState(3);
+  const zoneReadingIdRef = useRef(0);
+  // 当前使用中的胶卷（拍摄记录），只在 localStorage 中保存其 id
+  const [activeRollId, setActiveRollId] = useState(null);
+  const [activeRoll, setActiveRoll] = useState(null);
+  // 正在记录一帧（截图、定位与保存期间禁用记录按钮）
+  const [recording, setRecording] = useState(false);
   const [aeLocked, setAeLocked] = useState(false);
   const lockedEVRef = useRef(null);
   const [chosenAperture, setChosenAperture] = useState(2.8);
   const [chosenShutter, setChosenShutter] = useState(1/125);
+  const meterPriorityMode = pinhole ? 'aperture' : priorityMode;
+  const meterAperture = pinhole ? pinhole.fNumber : chosenAperture;
   const [overExposureThreshold, setOverExposureThreshold] = useState(DEFAULT_OVEREXPOSURE_THRESHOLD);
   const [underExposureThreshold, setUnderExposureThreshold] = useState(DEFAULT_UNDEREXPOSURE_THRESHOLD);
-  const [exposure, setExposure] = useState({ shutterSpeed: 0, aperture: 0, effectiveEV: 0, smoothedEV: 0, evDifference: 0 });
+  const [overlayMode, setOverlayMode] = useState('off'); // 'off'、'zebra' 或 'falseColor'
+  const [exposure, setExposure] = useState({ shutterSpeed: 0, aperture: 0, effectiveEV: 0, smoothedEV: 0, targetEV: 0, evDifference: 0 });
   const [exposureWarning, setExposureWarning] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState('');
   const videoRef = useRef(null);
-  const canvasRef = useRef(null);
+  // 静态图片测光：stillImage 为图片的 object URL，为 null 时使用实时视频
+  const [stillImage, setStillImage] = useState(null);
+  // 静态图片的曝光基准：截取的画面沿用截取时的摄像头参数，载入的文件只能相对测光
+  const [stillExposureBase, setStillExposureBase] = useState(() => getCameraExposureBase(null));
+  const imageRef = useRef(null);
+  const getMeterSource = () => (stillImage ? imageRef.current : videoRef.current);
   const histCanvasRef = useRef(null);
+  const overlayCanvasRef = useRef(null);
+  // 帧分析管线：最新结果、测光设置与结果处理函数都经 ref 传递，设置变化时不必重建管线
+  const lastAnalysisRef = useRef(null);
+  const meteringOptionsRef = useRef(null);
+  const analysisHandlerRef = useRef(null);
+  const relockSpotRef = useRef(null);
   const smoothedEVRef = useRef(null);
 
+  // 手动输入或灰卡自动校准都视为校准了当前摄像头
+  function handleCalibrationFactorChange(factor) {
+    setCalibrationFactor(factor);
+    setCameraCalibrated(true);
+  }
+
   function handleAutoCalibrate() {
-    if (videoRef.current && canvasRef.current) {
-      const avgBrightness = computeBrightness(videoRef.current, canvasRef.current, meteringMode);
+    if (lastAnalysisRef.current) {
+      const avgBrightness = lastAnalysisRef.current.brightness;
       if (avgBrightness > 0) {
         const newFactor = referenceGray / avgBrightness;
-        setCalibrationFactor(parseFloat(newFactor.toFixed(2)));
+        handleCalibrationFactorChange(parseFloat(newFactor.toFixed(2)));
       }
     }
   }
 
+  // 将当前点测读数加入区域系统列表，第一个读数默认作为锚点
+  function handleAddZoneReading() {
+    if (!Number.isFinite(exposure.smoothedEV)) return;
+    zoneReadingIdRef.current += 1;
+    const reading = { id: zoneReadingIdRef.current, label: `R${zoneReadingIdRef.current}`, ev: exposure.smoothedEV };
+    setZoneReadings(prev => [...prev, reading]);
+    if (zoneAnchorId === null) setZoneAnchorId(reading.id);
+  }
+
+  function handleRemoveZoneReading(id) {
+    const remaining = zoneReadings.filter(r => r.id !== id);
+    setZoneReadings(remaining);
+    if (id === zoneAnchorId) setZoneAnchorId(remaining.length ? remaining[0].id : null);
+  }
+
+  function handleClearZoneReadings() {
+    setZoneReadings([]);
+    setZoneAnchorId(null);
+    zoneReadingIdRef.current = 0;
+  }
+
+  // 点击预览画面（视频或静态图片）移动点测光位置；AE 锁定时以新位置的读数重新锁定
+  function handleVideoTap(e) {
+    if (meteringMode !== 'spot' && meteringMode !== 'zone') return;
+    const source = getMeterSource();
+    const geometry = getSourceDisplayGeometry(source);
+    if (!geometry) return;
+    const rect = source.getBoundingClientRect();
+    const position = {
+      x: Math.min(Math.max((e.clientX - rect.left - geometry.offsetX) / geometry.displayWidth, 0), 1),
+      y: Math.min(Math.max((e.clientY - rect.top - geometry.offsetY) / geometry.displayHeight, 0), 1),
+    };
+    moveSpot(position);
+  }
+
+  function moveSpot(position) {
+    setSpotPosition(position);
+    // 新位置的读数由下一帧分析得到，届时再重新锁定
+    if (aeLocked) relockSpotRef.current = position;
+  }
+
+  // 载入图片文件测光；摄像头不可用时可从授权页面直接进入
+  function handleImageFile(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    setStillImage(URL.createObjectURL(file));
+    setStillExposureBase(getCameraExposureBase(null));
+    if (step === 'permission') setStep('iso');
+  }
+
+  // 截取视频当前帧（原始分辨率）作为静态图片
+  function handleCaptureStill() {
+    const video = videoRef.current;
+    if (!isSourceReady(video)) return;
+    const canvas = document.createElement('canvas');
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    canvas.getContext('2d').drawImage(video, 0, 0);
+    const exposureBase = getCameraExposureBase(getTrackSettings(stream), lensFNumber);
+    canvas.toBlob(blob => {
+      setStillExposureBase(exposureBase);
+      if (blob) setStillImage(URL.createObjectURL(blob));
+    });
+  }
+
+  useEffect(() => {
+    return () => {
+      if (stillImage) URL.revokeObjectURL(stillImage);
+    };
+  }, [stillImage]);
+
+  // 叠加层依次切换：关闭 → 斑马纹 → 伪色
+  function cycleOverlayMode() {
+    const index = overlayModes.findIndex(m => m.value === overlayMode);
+    setOverlayMode(overlayModes[(index + 1) % overlayModes.length].value);
+  }
+
   function handleAeLock() {
     if (aeLocked) {
       setAeLocked(false);
@@ -437,96 +773,355 @@ function App() {
     }
   }
 
-  useEffect(() => {
-    localStorage.setItem('iso', iso);
-    localStorage.setItem('compensation', compensation);
-    localStorage.setItem('priorityMode', priorityMode);
-    localStorage.setItem('calibrationFactor', calibrationFactor);
-    localStorage.setItem('overExposureThreshold', overExposureThreshold);
-    localStorage.setItem('underExposureThreshold', underExposureThreshold);
-  }, [iso, compensation, priorityMode, calibrationFactor, overExposureThreshold, underExposureThreshold, meteringMode]);
-
+  // 先读取已保存的设置，再写回；顺序颠倒会在首次渲染时用默认值覆盖已保存的设置
   useEffect(() => {
     const storedIso = parseInt(localStorage.getItem('iso'), 10);
     if (!isNaN(storedIso)) setIso(storedIso);
     const storedCompensation = parseFloat(localStorage.getItem('compensation'));
     if (!isNaN(storedCompensation)) setCompensation(storedCompensation);
+    try {
+      const storedFilters = JSON.parse(localStorage.getItem('activeFilters'));
+      if (Array.isArray(storedFilters)) setActiveFilters(storedFilters.filter(id => lensFilters[id]));
+    } catch (err) {
+      console.error('Filter settings parse error:', err);
+    }
+    try {
+      const storedMacro = JSON.parse(localStorage.getItem('macroSettings'));
+      if (storedMacro) setMacroSettings({ ...DEFAULT_MACRO_SETTINGS, ...storedMacro });
+    } catch (err) {
+      console.error('Macro settings parse error:', err);
+    }
+    try {
+      const storedPinhole = JSON.parse(localStorage.getItem('pinholeSettings'));
+      if (storedPinhole) setPinholeSettings({ ...DEFAULT_PINHOLE_SETTINGS, ...storedPinhole });
+    } catch (err) {
+      console.error('Pinhole settings parse error:', err);
+    }
+    try {
+      const storedPinned = JSON.parse(localStorage.getItem('pinnedExposure'));
+      if (storedPinned) setPinnedExposure({ ...DEFAULT_PINNED_EXPOSURE, ...storedPinned });
+    } catch (err) {
+      console.error('Pinned exposure parse error:', err);
+    }
+    try {
+      const storedFlash = JSON.parse(localStorage.getItem('flashSettings'));
+      if (storedFlash) setFlashSettings({ ...DEFAULT_FLASH_SETTINGS, ...storedFlash });
+    } catch (err) {
+      console.error('Flash settings parse error:', err);
+    }
     const storedPriority = localStorage.getItem('priorityMode');
     if (storedPriority) setPriorityMode(storedPriority);
+    const storedScale = localStorage.getItem('exposureScale');
+    if (storedScale && isoValues[storedScale]) setExposureScale(storedScale);
+    const storedRollId = parseInt(localStorage.getItem('activeRollId'), 10);
+    if (!isNaN(storedRollId)) setActiveRollId(storedRollId);
+    const storedBody = localStorage.getItem('cameraBody');
+    if (storedBody) setBodyName(storedBody);
+    const storedLens = localStorage.getItem('cameraLens');
+    if (storedLens) setLensName(storedLens);
     const storedCalibration = parseFloat(localStorage.getItem('calibrationFactor'));
     if (!isNaN(storedCalibration)) setCalibrationFactor(storedCalibration);
+    const storedLightMeasurement = localStorage.getItem('lightMeasurement');
+    if (storedLightMeasurement) setLightMeasurement(storedLightMeasurement);
+    const storedIncidentCalibration = parseFloat(localStorage.getItem('incidentCalibrationFactor'));
+    if (!isNaN(storedIncidentCalibration)) setIncidentCalibrationFactor(storedIncidentCalibration);
+    const storedMeteringMode = localStorage.getItem('meteringMode');
+    if (Object.keys(meteringModeLabels).includes(storedMeteringMode)) setMeteringMode(storedMeteringMode);
+    const storedFalloff = parseFloat(localStorage.getItem('centerFalloff'));
+    if (!isNaN(storedFalloff)) setCenterFalloff(storedFalloff);
+    const storedSpotSize = parseInt(localStorage.getItem('spotSize'), 10);
+    if (spotSizeOptions.includes(storedSpotSize)) setSpotSize(storedSpotSize);
     const storedOver = parseInt(localStorage.getItem('overExposureThreshold'), 10);
     if (!isNaN(storedOver)) setOverExposureThreshold(storedOver);
     const storedUnder = parseInt(localStorage.getItem('underExposureThreshold'), 10);
     if (!isNaN(storedUnder)) setUnderExposureThreshold(storedUnder);
+    const storedOverlay = localStorage.getItem('overlayMode');
+    if (overlayModes.some(m => m.value === storedOverlay)) setOverlayMode(storedOverlay);
+    setHistogramLogScale(localStorage.getItem('histogramLogScale') === 'true');
   }, []);
 
   useEffect(() => {
-    if (step === 'meter' && videoRef.current && stream) {
-      videoRef.current.srcObject = stream;
-      videoRef.current.play();
-      const intervalId = setInterval(() => {
+    localStorage.setItem('iso', iso);
+    localStorage.setItem('compensation', compensation);
+    localStorage.setItem('activeFilters', JSON.stringify(activeFilters));
+    localStorage.setItem('macroSettings', JSON.stringify(macroSettings));
+    localStorage.setItem('flashSettings', JSON.stringify(flashSettings));
+    localStorage.setItem('pinholeSettings', JSON.stringify(pinholeSettings));
+    localStorage.setItem('pinnedExposure', JSON.stringify(pinnedExposure));
+    localStorage.setItem('priorityMode', priorityMode);
+    localStorage.setItem('exposureScale', exposureScale);
+    localStorage.setItem('cameraBody', bodyName);
+    localStorage.setItem('cameraLens', lensName);
+    if (activeRollId === null) localStorage.removeItem('activeRollId');
+    else localStorage.setItem('activeRollId', activeRollId);
+    localStorage.setItem('calibrationFactor', calibrationFactor);
+    localStorage.setItem('lightMeasurement', lightMeasurement);
+    localStorage.setItem('incidentCalibrationFactor', incidentCalibrationFactor);
+    localStorage.setItem('meteringMode', meteringMode);
+    localStorage.setItem('centerFalloff', centerFalloff);
+    localStorage.setItem('spotSize', spotSize);
+    localStorage.setItem('overExposureThreshold', overExposureThreshold);
+    localStorage.setItem('underExposureThreshold', underExposureThreshold);
+    localStorage.setItem('overlayMode', overlayMode);
+    localStorage.setItem('histogramLogScale', histogramLogScale);
+  }, [iso, compensation, activeFilters, macroSettings, flashSettings, pinholeSettings, pinnedExposure, priorityMode, exposureScale, bodyName, lensName, activeRollId, calibrationFactor, lightMeasurement, incidentCalibrationFactor, centerFalloff, spotSize, overExposureThreshold, underExposureThreshold, overlayMode, histogramLogScale, meteringMode]);
+
+  // 每帧分析结果：换算曝光、平滑 EV、处理 AE 锁定并绘制直方图与叠加层
+  function handleAnalysisResult(meteringResult, options) {
+    lastAnalysisRef.current = meteringResult;
+    const avgBrightness = meteringResult.brightness;
+    if (avgBrightness < 5) {
+      setError('Extremely dark, increase ISO/aperture.');
+    } else if (avgBrightness > 250) {
+      setError('Extremely bright! Reduce ISO or aperture.');
+    } else {
+      setError('');
+      // 每次读数都重新读取摄像头曝光参数，自动曝光变化时随之重新归一化
+      const exposureBase = stillImage ? stillExposureBase : getCameraExposureBase(getTrackSettings(stream), lensFNumber);
+      let exp;
+      if (meterPriorityMode === 'aperture') {
+        exp = calculateExposureAperturePriority(avgBrightness, iso, compensation, meterAperture, activeCalibrationFactor, exposureGrid, lightLossStops, exposureBase.baseEV);
+      } else {
+        exp = calculateExposureShutterPriority(avgBrightness, iso, compensation, chosenShutter, activeCalibrationFactor, exposureGrid, lightLossStops, exposureBase.baseEV);
+      }
+      exp.exposureBase = exposureBase;
+      let currentEV = exp.effectiveEV;
+      if (smoothedEVRef.current === null) {
+        smoothedEVRef.current = currentEV;
+      } else {
+        smoothedEVRef.current = smoothedEVRef.current * (1 - smoothingFactor) + currentEV * smoothingFactor;
+      }
+      exp.smoothedEV = smoothedEVRef.current;
+      exp.meteringResult = meteringResult;
+      exp.dynamicRange = getSceneDynamicRange(meteringResult.histograms.luma);
+      exp.illuminance = calculateIlluminance(calculateEV100(avgBrightness, activeCalibrationFactor, exposureBase.baseEV));
+      // 点测光位置移动后，以新位置的首个读数重新锁定
+      if (aeLocked && relockSpotRef.current && options.spotPosition === relockSpotRef.current) {
+        lockedEVRef.current = exp.effectiveEV;
+        relockSpotRef.current = null;
+      }
+      // AE-Lock：如果已锁定，则按锁定的 EV 给出推荐组合
+      if (aeLocked && lockedEVRef.current !== null) {
+        exp = {
+          ...exp,
+          ...(meterPriorityMode === 'aperture'
+            ? calculateExposureForEVAperturePriority(lockedEVRef.current, meterAperture, exposureGrid)
+            : calculateExposureForEVShutterPriority(lockedEVRef.current, chosenShutter, exposureGrid)),
+        };
+      }
+      // 推荐组合实际采用的 EV（AE 锁定时为锁定值），等效曝光表以此为准
+      exp.targetEV = exp.effectiveEV;
+      setExposure(exp);
+      // evDifference 为推荐组合 EV 减去所需 EV：为正表示进光不足
+      if (exp.evDifference >= 1) {
+        setExposureWarning('Severely underexposed, increase aperture or ISO significantly.');
+      } else if (exp.evDifference >= 0.6) {
+        setExposureWarning('Moderately underexposed, consider increasing aperture or ISO.');
+      } else if (exp.evDifference >= 0.3) {
+        setExposureWarning('Slightly underexposed, fine-tune settings.');
+      } else if (exp.evDifference <= -1) {
+        setExposureWarning('Severely overexposed, reduce aperture or ISO significantly.');
+      } else if (exp.evDifference <= -0.6) {
+        setExposureWarning('Moderately overexposed, consider reducing aperture or ISO.');
+      } else if (exp.evDifference <= -0.3) {
+        setExposureWarning('Slightly overexposed, fine-tune settings.');
+      } else {
+        setExposureWarning('');
+      }
+    }
+    if (histCanvasRef.current) {
+      drawHistogram(histCanvasRef.current, meteringResult.histograms, {
+        compensation,
+        underExposureThreshold,
+        overExposureThreshold,
+        colorChannelMode,
+        logScale: histogramLogScale,
+        meteredValue: brightnessToValue(avgBrightness),
+      });
+    }
+    if (meteringResult.overlay) {
+      if (overlayCanvasRef.current) drawExposureOverlay(overlayCanvasRef.current, meteringResult.overlay, getMeterSource());
+      else if (meteringResult.overlay.close) meteringResult.overlay.close();
+    }
+  }
+
+  useEffect(() => {
+    meteringOptionsRef.current = {
+      meteringMode,
+      centerFalloff,
+      spotPosition,
+      spotSize,
+      overlayMode,
+      compensation,
+      overExposureThreshold,
+      underExposureThreshold,
+    };
+    analysisHandlerRef.current = handleAnalysisResult;
+  });
+
+  // 帧分析管线只随画面来源重建
+  useEffect(() => {
+    const getSource = () => (stillImage ? imageRef.current : videoRef.current);
+    const source = getSource();
+    if (step !== 'meter' || !source || !(stillImage || stream)) return;
+    if (!stillImage) {
+      source.srcObject = stream;
+      source.play();
+    }
+    return startFramePipeline(
+      getSource,
+      () => meteringOptionsRef.current,
+      (result, options) => {
         try {
-          if (
-            videoRef.current &&
-            canvasRef.current &&
-            histCanvasRef.current &&
-            videoRef.current.videoWidth > 0 &&
-            videoRef.current.videoHeight > 0 &&
-            videoRef.current.readyState === 4 &&
-            !videoRef.current.paused
-          ) {
-            const avgBrightness = computeBrightness(videoRef.current, canvasRef.current, meteringMode);
-            if (avgBrightness < 5) {
-              setError('Extremely dark, increase ISO/aperture.');
-            } else if (avgBrightness > 250) {
-              setError('Extremely bright! Reduce ISO or aperture.');
-            } else {
-              setError('');
-              let exp;
-              if (priorityMode === 'aperture') {
-                exp = calculateExposureAperturePriority(avgBrightness, iso, compensation, chosenAperture, calibrationFactor);
-              } else {
-                exp = calculateExposureShutterPriority(avgBrightness, iso, compensation, chosenShutter, calibrationFactor);
-              }
-              let currentEV = exp.effectiveEV;
-              if (smoothedEVRef.current === null) {
-                smoothedEVRef.current = currentEV;
-              } else {
-                smoothedEVRef.current = smoothedEVRef.current * (1 - smoothingFactor) + currentEV * smoothingFactor;
-              }
-              exp.smoothedEV = smoothedEVRef.current;
-              // AE-Lock：如果已锁定，则使用锁定的 EV
-              if (aeLocked && lockedEVRef.current !== null) {
-                exp.effectiveEV = lockedEVRef.current;
-              }
-              setExposure(exp);
-              if (exp.evDifference <= -1) {
-                setExposureWarning('Severely underexposed, increase aperture or ISO significantly.');
-              } else if (exp.evDifference <= -0.6) {
-                setExposureWarning('Moderately underexposed, consider increasing aperture or ISO.');
-              } else if (exp.evDifference <= -0.3) {
-                setExposureWarning('Slightly underexposed, fine-tune settings.');
-              } else if (exp.evDifference >= 1) {
-                setExposureWarning('Severely overexposed, reduce aperture or ISO significantly.');
-              } else if (exp.evDifference >= 0.6) {
-                setExposureWarning('Moderately overexposed, consider reducing aperture or ISO.');
-              } else if (exp.evDifference >= 0.3) {
-                setExposureWarning('Slightly overexposed, fine-tune settings.');
-              } else {
-                setExposureWarning('');
-              }
-            }
-            drawHistogram(videoRef.current, histCanvasRef.current, compensation, underExposureThreshold, overExposureThreshold, colorChannelMode);
-          }
+          analysisHandlerRef.current(result, options);
         } catch (e) {
           console.error(e);
           setError('Measurement error');
         }
-      }, 100);
-      return () => clearInterval(intervalId);
+      }
+    );
+  }, [step, stream, stillImage]);
+
+  useEffect(() => {
+    saveCustomFilmStocks(customFilmStocks);
+  }, [customFilmStocks]);
+
+  // 选择胶片预设时一并应用其标称 ISO（作为 EI 的初始值）、校准系数、阈值与推荐补偿；
+  // 当前摄像头已手动校准时保留其校准系数
+  function applyFilmPreset(name) {
+    setFilmPreset(name);
+    if (name !== 'custom') {
+      const preset = filmPresets[name];
+      setIso(preset.boxSpeed);
+      if (!cameraCalibrated) setCalibrationFactor(preset.calibrationFactor);
+      setOverExposureThreshold(preset.overExposureThreshold);
+      setUnderExposureThreshold(preset.underExposureThreshold);
+      setCompensation(preset.recommendedCompensation);
     }
-  }, [step, stream, iso, compensation, priorityMode, calibrationFactor, underExposureThreshold, overExposureThreshold, chosenAperture, chosenShutter, smoothingFactor, colorChannelMode, aeLocked, meteringMode]);
+  }
+
+  // 自定义胶片被删除或改名时，取消对它的选择
+  function handleCustomFilmStocksChange(stocks) {
+    setCustomFilmStocks(stocks);
+    if (!builtInFilmPresets[filmPreset] && filmPreset !== 'custom' && !stocks.some(s => s.name === filmPreset)) {
+      setFilmPreset('custom');
+    }
+  }
+
+  useEffect(() => {
+    saveCustomBodies(customBodies);
+  }, [customBodies]);
+
+  useEffect(() => {
+    saveCustomLenses(customLenses);
+  }, [customLenses]);
+
+  // 机身、镜头或档位刻度变化时，将所选光圈和快门吸附到器材可设定的档位（针孔网格不吸附，保留原选择）
+  useEffect(() => {
+    if (exposureGrid.continuous) return;
+    setChosenAperture(prev => (exposureGrid.apertures.includes(prev) ? prev : snapToScale(prev, exposureGrid.apertures)));
+    setChosenShutter(prev => (exposureGrid.shutters.includes(prev) ? prev : snapToScale(prev, exposureGrid.shutters)));
+  }, [exposureGrid]);
+
+  // 胶卷在记录页面中可能被编辑，返回时重新读取
+  useEffect(() => {
+    if (activeRollId === null) {
+      setActiveRoll(null);
+      return;
+    }
+    getRoll(activeRollId)
+      .then(roll => {
+        setActiveRoll(roll);
+        if (!roll) setActiveRollId(null);
+      })
+      .catch(err => console.error('Roll load error:', err));
+  }, [activeRollId, step]);
+
+  // 开始或载入胶卷时应用其胶片预设与 EI
+  function handleActivateRoll(roll) {
+    setActiveRollId(roll ? roll.id : null);
+    if (roll) {
+      if (filmPresets[roll.filmName]) applyFilmPreset(roll.filmName);
+      setIso(roll.exposureIndex);
+    }
+  }
+
+  // 记录一帧：以数据库中的最新内容为基础追加，避免覆盖记录页面中的修改；
+  // 胶卷已拍完、没有有效读数或上一帧仍在保存时不记录
+  async function handleRecordFrame(frameExposure) {
+    if (!activeRoll || recording || !Number.isFinite(frameExposure.smoothedEV)) return;
+    setRecording(true);
+    try {
+      // 先截取缩略图，定位可能需要数秒
+      const thumbnail = captureThumbnail(getMeterSource());
+      const location = activeRoll.recordLocation ? await getCurrentLocation() : null;
+      const frame = {
+        timestamp: Date.now(),
+        shutterSpeed: frameExposure.shutterSpeed,
+        aperture: frameExposure.aperture,
+        bulb: Boolean(frameExposure.bulb),
+        ev: frameExposure.smoothedEV,
+        iso,
+        meteringMode,
+        compensation,
+        aeLocked,
+        note: '',
+        thumbnail,
+        location,
+      };
+      const saved = await recordFrameQueue(async () => {
+        const roll = (await getRoll(activeRoll.id)) || activeRoll;
+        if (roll.frames.length >= roll.frameCount) return roll;
+        const lastFrame = roll.frames[roll.frames.length - 1];
+        return saveRoll({ ...roll, frames: [...roll.frames, { number: lastFrame ? lastFrame.number + 1 : 1, ...frame }] });
+      });
+      setActiveRoll(saved);
+    } catch (err) {
+      console.error('Frame record error:', err);
+      window.alert(t('Unable to save the frame.'));
+    } finally {
+      setRecording(false);
+    }
+  }
+
+  // 自定义机身 / 镜头被删除时，取消对它的选择
+  function handleCustomBodiesChange(bodies) {
+    setCustomBodies(bodies);
+    if (!builtInBodies.some(b => b.name === bodyName) && !bodies.some(b => b.name === bodyName)) setBodyName('');
+  }
+
+  function handleCustomLensesChange(lenses) {
+    setCustomLenses(lenses);
+    if (!builtInLenses.some(l => l.name === lensName) && !lenses.some(l => l.name === lensName)) setLensName('');
+  }
+
+  // 当前摄像头的校准系数变化时写入其档案
+  useEffect(() => {
+    if (activeCamera) {
+      saveCameraProfile(activeCamera, { calibrationFactor, calibrated: cameraCalibrated, incidentCalibrationFactor, lensFNumber });
+    }
+  }, [activeCamera, calibrationFactor, cameraCalibrated, incidentCalibrationFactor, lensFNumber]);
+
+  // 支持手动曝光时按设定锁定曝光时间与 ISO；取消锁定后恢复自动曝光
+  useEffect(() => {
+    const track = stream && stream.getVideoTracks()[0];
+    if (!track || !canPinExposure) return;
+    const clamp = (value, range) => Math.min(Math.max(value, range.min), range.max);
+    let constraints = null;
+    if (pinnedExposure.enabled) {
+      constraints = {
+        exposureMode: 'manual',
+        exposureTime: clamp(pinnedExposure.exposureTimeMs * 10, cameraCapabilities.exposureTime),
+        iso: clamp(pinnedExposure.iso, cameraCapabilities.iso),
+      };
+    } else if (exposurePinnedRef.current && cameraCapabilities.exposureMode.includes('continuous')) {
+      constraints = { exposureMode: 'continuous' };
+    }
+    exposurePinnedRef.current = pinnedExposure.enabled;
+    if (constraints) {
+      track.applyConstraints({ advanced: [constraints] }).catch(err => console.error('Exposure constraint error:', err));
+    }
+  }, [stream, canPinExposure, cameraCapabilities, pinnedExposure]);
 
   useEffect(() => {
     return () => {
@@ -536,49 +1131,125 @@ function App() {
     };
   }, [stream]);
 
+  // 打开指定摄像头（未指定时使用后置摄像头）并尝试切换到手动曝光
+  const openCameraStream = async (deviceId) => {
+    const mediaStream = await navigator.mediaDevices.getUserMedia({
+      video: {
+        ...(deviceId ? { deviceId: { exact: deviceId } } : { facingMode: 'environment' }),
+        advanced: [{ exposureMode: 'manual' }],
+      },
+      audio: false,
+    });
+    const videoTrack = mediaStream.getVideoTracks()[0];
+    const capabilities = videoTrack.getCapabilities ? videoTrack.getCapabilities() : {};
+    try {
+      if (capabilities.exposureMode && capabilities.exposureMode.includes('manual')) {
+        await videoTrack.applyConstraints({ advanced: [{ exposureMode: 'manual' }] });
+      } else {
+        console.warn('Manual exposure mode not supported.');
+      }
+    } catch (err) {
+      console.error('Exposure constraint error:', err);
+    }
+    return mediaStream;
+  };
+
+  // 记录当前摄像头并载入其校准档案；授权后 enumerateDevices 才能拿到 label
+  const activateCameraStream = async (mediaStream) => {
+    const videoTrack = mediaStream.getVideoTracks()[0];
+    const camera = { deviceId: videoTrack.getSettings().deviceId, label: videoTrack.label };
+    const profile = findCameraProfile(loadCameraProfiles(), camera);
+    // 未手动校准的摄像头沿用所选胶片预设的校准系数
+    const calibrated = Boolean(profile && profile.calibrated && Number.isFinite(profile.calibrationFactor));
+    setCameraCalibrated(calibrated);
+    if (calibrated) setCalibrationFactor(profile.calibrationFactor);
+    else if (filmPresets[filmPreset]) setCalibrationFactor(filmPresets[filmPreset].calibrationFactor);
+    if (profile) {
+      if (Number.isFinite(profile.incidentCalibrationFactor)) setIncidentCalibrationFactor(profile.incidentCalibrationFactor);
+      if (Number.isFinite(profile.lensFNumber)) setLensFNumber(profile.lensFNumber);
+    }
+    setCameraCapabilities(videoTrack.getCapabilities ? videoTrack.getCapabilities() : {});
+    setActiveCamera(camera);
+    setStream(mediaStream);
+    if (navigator.mediaDevices.enumerateDevices) {
+      const devices = await navigator.mediaDevices.enumerateDevices();
+      setVideoDevices(
+        devices
+          .filter(d => d.kind === 'videoinput')
+          .map((d, index) => ({ deviceId: d.deviceId, label: d.label || t('Camera {number}', { number: index + 1 }) }))
+      );
+    }
+  };
+
   const requestCamera = async () => {
     setIsLoading(true);
     if (/iPhone/.test(navigator.userAgent)) {
-      alert('iPhone camera may use auto-exposure. For best results, use manual compensation or calibration.');
+      alert(t('iPhone camera may use auto-exposure. For best results, use manual compensation or calibration.'));
     }
     try {
-      const mediaStream = await navigator.mediaDevices.getUserMedia({
-        video: {
-          facingMode: 'environment',
-          advanced: [{ exposureMode: 'manual' }],
-        },
-        audio: false,
-      });
-      const videoTrack = mediaStream.getVideoTracks()[0];
-      const capabilities = videoTrack.getCapabilities();
-      try {
-        if (capabilities.exposureMode && capabilities.exposureMode.includes('manual')) {
-          await videoTrack.applyConstraints({ advanced: [{ exposureMode: 'manual' }] });
-        } else {
-          console.warn('Manual exposure mode not supported.');
-        }
-      } catch (err) {
-        console.error('Exposure constraint error:', err);
-      }
-      setStream(mediaStream);
+      const mediaStream = await openCameraStream();
+      await activateCameraStream(mediaStream);
       setStep('iso');
     } catch (err) {
       console.error('Camera access error:', err);
-      alert('Unable to access camera. Please check your permissions.');
+      alert(t('Unable to access camera. Please check your permissions.'));
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // 测光中切换摄像头：旧的 stream 由上面的清理 effect 停止
+  const switchCamera = async (deviceId) => {
+    if (!deviceId || (activeCamera && activeCamera.deviceId === deviceId)) return;
+    setIsLoading(true);
+    try {
+      const mediaStream = await openCameraStream(deviceId);
+      smoothedEVRef.current = null;
+      await activateCameraStream(mediaStream);
+    } catch (err) {
+      console.error('Camera switch error:', err);
+      alert(t('Unable to switch camera.'));
     } finally {
       setIsLoading(false);
     }
   };
 
+  // 摄像头选择下拉框（仅有多个摄像头时显示）
+  const cameraSelect = videoDevices.length > 1 && (
+    <select
+      value={activeCamera ? activeCamera.deviceId : ''}
+      onChange={(e) => switchCamera(e.target.value)}
+      className="select camera-select"
+      disabled={isLoading}
+    >
+      {videoDevices.map(device => (<option key={device.deviceId} value={device.deviceId}>{device.label}</option>))}
+    </select>
+  );
+
+  // 界面语言选择：手动选择后保存，不再跟随浏览器语言
+  const languageSelect = (
+    <label>
+      {t('Language:')}
+      <select value={language} onChange={(e) => onLanguageChange(e.target.value)} className="select">
+        {languageOptions.map(option => (<option key={option.value} value={option.value}>{option.label}</option>))}
+      </select>
+    </label>
+  );
+
   if (step === 'permission') {
     return (
       <div className="container">
         <DocumentMetadata />
-        <h1 className="title">Film Camera Light Meter</h1>
-        <p className="message">Please allow access to your camera to start.</p>
+        <h1 className="title">{t('Film Camera Light Meter')}</h1>
+        <p className="message">{t('Please allow access to your camera to start.')}</p>
         <button onClick={requestCamera} className="btn" disabled={isLoading}>
-          {isLoading ? 'Connecting...' : 'Allow Camera Access'}
+          {isLoading ? t('Connecting...') : t('Allow Camera Access')}
         </button>
+        <label className="btn">
+          {t('Meter an Image File')}
+          <input type="file" accept="image/*" onChange={handleImageFile} hidden />
+        </label>
+        <div className="input-group">{languageSelect}</div>
       </div>
     );
   }
@@ -587,19 +1258,155 @@ function App() {
     return (
       <div className="container">
         <DocumentMetadata />
-        <h1 className="title">Set ISO, Exposure Compensation, Priority & Metering Mode</h1>
-        <p className="note">Note: Light metering is based on a standard 18% gray card (calibration factor adjustable).</p>
+        <h1 className="title">{t('Set ISO, Exposure Compensation, Priority & Metering Mode')}</h1>
+        <p className="note">{t('Note: Light metering is based on a standard 18% gray card (calibration factor adjustable).')}</p>
+        <div className="input-group">{languageSelect}</div>
+        {cameraSelect && (
+          <div className="input-group">
+            <label>
+              {t('Camera:')}
+              {cameraSelect}
+            </label>
+            <p className="note">{t('Each camera keeps its own calibration factor.')}</p>
+          </div>
+        )}
+        {stream && (
+          <div className="input-group">
+            <label>
+              {t('Phone Lens f-number:')}
+              <input type="number" value={lensFNumber} onChange={(e) => setLensFNumber(parseFloat(e.target.value) || DEFAULT_LENS_F_NUMBER)} step={0.1} min={1} />
+            </label>
+            <p className="note">{t('Used for absolute metering when the camera reports its exposure time and ISO.')}</p>
+            {canPinExposure ? (
+              <>
+                <label>
+                  {t('Pin Camera Exposure:')}
+                  <input type="checkbox" checked={pinnedExposure.enabled} onChange={(e) => setPinnedExposure({ ...pinnedExposure, enabled: e.target.checked })} />
+                </label>
+                {pinnedExposure.enabled && (
+                  <>
+                    <label>
+                      {t('Exposure Time (ms):')}
+                      <input
+                        type="number"
+                        value={pinnedExposure.exposureTimeMs}
+                        min={cameraCapabilities.exposureTime.min / 10}
+                        max={cameraCapabilities.exposureTime.max / 10}
+                        step={0.1}
+                        onChange={(e) => setPinnedExposure({ ...pinnedExposure, exposureTimeMs: parseFloat(e.target.value) || DEFAULT_PINNED_EXPOSURE.exposureTimeMs })}
+                      />
+                    </label>
+                    <label>
+                      {t('Camera ISO:')}
+                      <input
+                        type="number"
+                        value={pinnedExposure.iso}
+                        min={cameraCapabilities.iso.min}
+                        max={cameraCapabilities.iso.max}
+                        onChange={(e) => setPinnedExposure({ ...pinnedExposure, iso: parseInt(e.target.value) || DEFAULT_PINNED_EXPOSURE.iso })}
+                      />
+                    </label>
+                  </>
+                )}
+              </>
+            ) : (
+              <p className="note">{t('This camera does not support manual exposure.')}</p>
+            )}
+          </div>
+        )}
+        <div className="input-group">
+          <label>
+            {t('Camera Body:')}
+            <select value={bodyName} onChange={(e) => setBodyName(e.target.value)} className="select">
+              <option value="">{t('Any (all shutter speeds)')}</option>
+              {cameraBodies.map(body => (<option key={body.name} value={body.name}>{body.name}</option>))}
+            </select>
+          </label>
+          <label>
+            {t('Lens:')}
+            <select value={lensName} onChange={(e) => setLensName(e.target.value)} className="select">
+              <option value="">{t('Any (all apertures)')}</option>
+              {cameraLenses.map(lens => (<option key={lens.name} value={lens.name}>{lens.name}</option>))}
+            </select>
+          </label>
+          <button onClick={() => setStep('kit')} className="btn small">{t('Manage Bodies & Lenses')}</button>
+          {(activeBody || activeLens) && (
+            <p className="note">{t('Recommendations use only the speeds and apertures this kit can be set to.')}</p>
+          )}
+        </div>
+        <div className="input-group">
+          <label>
+            <input type="checkbox" checked={pinholeSettings.enabled} onChange={(e) => updatePinholeSettings({ enabled: e.target.checked })} />
+            {t('Pinhole Camera')}
+          </label>
+          {pinholeSettings.enabled && (
+            <div className="macro-settings">
+              <label>
+                {t('Input:')}
+                <select value={pinholeSettings.input} onChange={(e) => updatePinholeSettings({ input: e.target.value })} className="select">
+                  <option value="diameter">{t('Pinhole Diameter')}</option>
+                  <option value="fNumber">{t('f-number')}</option>
+                </select>
+              </label>
+              <label>
+                {t('Focal Length (mm):')}
+                <input type="number" value={pinholeSettings.focalLength} onChange={(e) => updatePinholeSettings({ focalLength: parseFloat(e.target.value) })} min={1} step={1} />
+              </label>
+              {pinholeSettings.input === 'diameter' ? (
+                <label>
+                  {t('Pinhole Diameter (mm):')}
+                  <input type="number" value={pinholeSettings.diameter} onChange={(e) => updatePinholeSettings({ diameter: parseFloat(e.target.value) })} min={0.05} step={0.01} />
+                </label>
+              ) : (
+                <label>
+                  {t('f-number:')}
+                  <input type="number" value={pinholeSettings.fNumber} onChange={(e) => updatePinholeSettings({ fNumber: parseFloat(e.target.value) })} min={1} step={1} />
+                </label>
+              )}
+              {pinhole ? (
+                <p className="note">
+                  f/{Math.round(pinhole.fNumber)}
+                  {pinhole.optimalDiameter && ` · ${t('optimal pinhole for {focalLength} mm: {diameter} mm (f/{fNumber})', {
+                    focalLength: pinholeSettings.focalLength,
+                    diameter: pinhole.optimalDiameter.toFixed(2),
+                    fNumber: Math.round(pinholeSettings.focalLength / pinhole.optimalDiameter),
+                  })}`}
+                </p>
+              ) : (
+                <p className="note">{t('Enter a focal length and pinhole diameter, or an f-number.')}</p>
+              )}
+            </div>
+          )}
+        </div>
         <div className="input-group">
           <label>
-            ISO:
+            {t('Stop Increment:')}
+            <select value={exposureScale} onChange={(e) => setExposureScale(e.target.value)} className="select">
+              {exposureScaleOptions.map(option => (<option key={option.value} value={option.value}>{t(option.label)}</option>))}
+            </select>
+          </label>
+        </div>
+        <div className="input-group">
+          <label>
+            {activeFilmStock ? t('Exposure Index:') : 'ISO:'}
             <select value={iso} onChange={(e) => setIso(parseInt(e.target.value))} className="select">
-              {isoValues.map(value => (<option key={value} value={value}>ISO {value}</option>))}
+              {isoOptions.map(value => (<option key={value} value={value}>{activeFilmStock ? 'EI' : 'ISO'} {value}</option>))}
             </select>
           </label>
+          {pushPull && (
+            <p className={pushPull.exceeds ? 'warning' : 'note'}>
+              {t('Box speed ISO {boxSpeed}', { boxSpeed: activeFilmStock.boxSpeed })} · {pushPullLabel
+                ? t('{pushPull} stops', { pushPull: pushPullLabel })
+                : t('no push/pull')}
+              {pushPull.exceeds && ` · ${pushPull.stops > 0
+                ? t('beyond the {stops}-stop push {film} tolerates', { stops: activeFilmStock.maxPush, film: filmPreset })
+                : t('beyond the {stops}-stop pull {film} tolerates', { stops: activeFilmStock.maxPull, film: filmPreset })}`}
+            </p>
+          )}
         </div>
         <div className="input-group">
           <label>
-            Exposure Compensation:
+            {t('Exposure Compensation:')}
             <select value={compensation} onChange={(e) => setCompensation(parseFloat(e.target.value))} className="select">
               {compensationSteps.map(stepValue => (<option key={stepValue} value={stepValue}>{stepValue} EV</option>))}
             </select>
@@ -607,139 +1414,313 @@ function App() {
         </div>
         <div className="input-group">
           <label>
-            Calibration Factor:
-            <input type="number" value={calibrationFactor} onChange={(e) => setCalibrationFactor(parseFloat(e.target.value))} step={0.01} min={0.5} max={1.5} />
+            {t('Lens Filters:')}
+            <select value="" onChange={(e) => e.target.value && setActiveFilters([...activeFilters, e.target.value])} className="select">
+              <option value="">{t('Add filter…')}</option>
+              {Object.entries(lensFilters).map(([id, filter]) => (<option key={id} value={id}>{t(filter.label)}</option>))}
+            </select>
           </label>
-          <button onClick={handleAutoCalibrate} className="btn small">Auto Calibrate Gray Card</button>
+          {activeFilters.length > 0 && (
+            <ul className="filter-stack">
+              {activeFilters.map((id, index) => (
+                <li key={`${id}-${index}`}>
+                  {t(lensFilters[id].label)} (−{getFilterStops(id, filmPreset !== 'custom' ? filmPresets[filmPreset] : null)} EV)
+                  <button onClick={() => setActiveFilters(activeFilters.filter((_, i) => i !== index))} className="btn small">×</button>
+                </li>
+              ))}
+            </ul>
+          )}
         </div>
         <div className="input-group">
           <label>
-            Priority Mode:
-            <select value={priorityMode} onChange={(e) => setPriorityMode(e.target.value)} className="select">
-              <option value="shutter">Shutter Priority</option>
-              <option value="aperture">Aperture Priority</option>
+            <input type="checkbox" checked={macroSettings.enabled} onChange={(e) => updateMacroSettings({ enabled: e.target.checked })} />
+            {t('Close-up / Bellows Compensation')}
+          </label>
+          {macroSettings.enabled && (
+            <div className="macro-settings">
+              <label>
+                {t('Focal Length (mm):')}
+                <input type="number" value={macroSettings.focalLength} onChange={(e) => updateMacroSettings({ focalLength: parseFloat(e.target.value) })} min={1} step={1} />
+              </label>
+              <label>
+                {t('Input:')}
+                <select value={macroSettings.input} onChange={(e) => updateMacroSettings({ input: e.target.value })} className="select">
+                  <option value="extension">{t('Extension (mm)')}</option>
+                  <option value="magnification">{t('Magnification')}</option>
+                </select>
+              </label>
+              {macroSettings.input === 'extension' ? (
+                <label>
+                  {t('Extension beyond infinity (mm):')}
+                  <input type="number" value={macroSettings.extension} onChange={(e) => updateMacroSettings({ extension: parseFloat(e.target.value) })} min={0} step={1} />
+                </label>
+              ) : (
+                <label>
+                  {t('Magnification (m):')}
+                  <input type="number" value={macroSettings.magnification} onChange={(e) => updateMacroSettings({ magnification: parseFloat(e.target.value) })} min={0} step={0.1} />
+                </label>
+              )}
+              <p className="note">
+                {t('m = {magnification}, bellows factor (1+m)² = ×{factor} (+{stops} EV)', {
+                  magnification: bellows.magnification.toFixed(2),
+                  factor: bellows.factor.toFixed(2),
+                  stops: bellows.stops.toFixed(1),
+                })}
+              </p>
+            </div>
+          )}
+        </div>
+        <div className="input-group">
+          <label>
+            {t('Calibration Factor:')}
+            <input type="number" value={calibrationFactor} onChange={(e) => handleCalibrationFactorChange(parseFloat(e.target.value))} step={0.01} min={0.5} max={1.5} />
+          </label>
+          <button onClick={handleAutoCalibrate} className="btn small">{t('Auto Calibrate Gray Card')}</button>
+        </div>
+        <div className="input-group">
+          <label>
+            {t('Light Measurement:')}
+            <select value={lightMeasurement} onChange={(e) => setLightMeasurement(e.target.value)} className="select">
+              <option value="reflected">{t('Reflected')}</option>
+              <option value="incident">{t('Incident (Diffuser over Lens)')}</option>
             </select>
           </label>
         </div>
-        {priorityMode === 'aperture' && (
+        {lightMeasurement === 'incident' && (
           <div className="input-group">
             <label>
-              Chosen Aperture:
+              {t('Incident Calibration Factor:')}
+              <input type="number" value={incidentCalibrationFactor} onChange={(e) => setIncidentCalibrationFactor(parseFloat(e.target.value))} step={0.01} min={0.1} max={2} />
+            </label>
+            <p className="note">{t('Cover the lens with white paper or half a ping-pong ball and point it from the subject toward the light.')}</p>
+          </div>
+        )}
+        {!pinhole && (
+          <div className="input-group">
+            <label>
+              {t('Priority Mode:')}
+              <select value={priorityMode} onChange={(e) => setPriorityMode(e.target.value)} className="select">
+                <option value="shutter">{t('Shutter Priority')}</option>
+                <option value="aperture">{t('Aperture Priority')}</option>
+              </select>
+            </label>
+          </div>
+        )}
+        {!pinhole && priorityMode === 'aperture' && (
+          <div className="input-group">
+            <label>
+              {t('Chosen Aperture:')}
               <select value={chosenAperture} onChange={(e) => setChosenAperture(parseFloat(e.target.value))} className="select">
-                <option value={1.4}>f/1.4</option>
-                <option value={2}>f/2</option>
-                <option value={2.8}>f/2.8</option>
-                <option value={4}>f/4</option>
-                <option value={5.6}>f/5.6</option>
-                <option value={8}>f/8</option>
-                <option value={11}>f/11</option>
-                <option value={16}>f/16</option>
+                {exposureGrid.apertures.map(value => (<option key={value} value={value}>{formatAperture(value)}</option>))}
               </select>
             </label>
           </div>
         )}
-        {priorityMode === 'shutter' && (
+        {!pinhole && priorityMode === 'shutter' && (
           <div className="input-group">
             <label>
-              Chosen Shutter:
+              {t('Chosen Shutter:')}
               <select value={chosenShutter} onChange={(e) => setChosenShutter(parseFloat(e.target.value))} className="select">
-                <option value={1/1000}>1/1000 sec</option>
-                <option value={1/500}>1/500 sec</option>
-                <option value={1/250}>1/250 sec</option>
-                <option value={1/125}>1/125 sec</option>
-                <option value={1/60}>1/60 sec</option>
-                <option value={1/30}>1/30 sec</option>
-                <option value={1/15}>1/15 sec</option>
-                <option value={1/8}>1/8 sec</option>
+                {exposureGrid.shutters.map(value => (<option key={value} value={value}>{formatShutter(value)}</option>))}
               </select>
             </label>
           </div>
         )}
         <div className="input-group">
           <label>
-            Metering Mode:
+            {t('Metering Mode:')}
             <select value={meteringMode} onChange={(e) => setMeteringMode(e.target.value)} className="select">
-              <option value="center">Center Weighted (Central 20%, Gaussian Weighting)</option>
-              <option value="spot">Spot Meter (Central 3% area)</option>
+              <option value="center">{t('Center Weighted (Gaussian Weighting)')}</option>
+              <option value="average">{t('Average (Full Frame)')}</option>
+              <option value="evaluative">{t('Evaluative (Multi-zone)')}</option>
+              <option value="spot">{t('Spot Meter (Tap to Place)')}</option>
+              <option value="zone">{t('Zone System (Multi-spot Placement)')}</option>
             </select>
           </label>
         </div>
+        {(meteringMode === 'spot' || meteringMode === 'zone') && (
+          <div className="input-group">
+            <label>
+              {t('Spot Size:')}
+              <select value={spotSize} onChange={(e) => setSpotSize(parseInt(e.target.value, 10))} className="select">
+                {spotSizeOptions.map(size => (<option key={size} value={size}>{size}°</option>))}
+              </select>
+            </label>
+          </div>
+        )}
+        {meteringMode === 'center' && (
+          <div className="input-group">
+            <label>
+              {t('Center Falloff (σ, fraction of frame):')}
+              <input type="number" value={centerFalloff} onChange={(e) => setCenterFalloff(parseFloat(e.target.value))} step={0.05} min={0.1} max={0.5} />
+            </label>
+          </div>
+        )}
         <div className="input-group">
           <label>
-            Color Channel Mode:
+            {t('Color Channel Mode:')}
             <select value={colorChannelMode} onChange={(e) => setColorChannelMode(e.target.value)} className="select">
-              <option value="combined">Combined</option>
-              <option value="separate">Separate</option>
+              <option value="combined">{t('Combined')}</option>
+              <option value="overlay">{t('RGB Overlay')}</option>
+              <option value="separate">{t('Separate')}</option>
             </select>
           </label>
         </div>
         <div className="input-group">
           <label>
-            Film Preset:
+            {t('Histogram Log Scale:')}
+            <input type="checkbox" checked={histogramLogScale} onChange={(e) => setHistogramLogScale(e.target.checked)} />
+          </label>
+        </div>
+        <div className="input-group">
+          <label>
+            {t('Film Preset:')}
             <select
               value={filmPreset}
-              onChange={(e) => {
-                setFilmPreset(e.target.value);
-                if (e.target.value !== 'custom') {
-                  const preset = filmPresets[e.target.value];
-                  setCalibrationFactor(preset.calibrationFactor);
-                  setOverExposureThreshold(preset.overExposureThreshold);
-                  setUnderExposureThreshold(preset.underExposureThreshold);
-                  setCompensation(preset.recommendedCompensation);
-                }
-              }}
+              onChange={(e) => applyFilmPreset(e.target.value)}
               className="select"
             >
-              <option value="custom">Custom</option>
-              <option value="Kodak Portra 400">Kodak Portra 400</option>
-              <option value="Ilford HP5">Ilford HP5</option>
-              <option value="Fuji Superia X-TRA 400">Fuji Superia X-TRA 400</option>
-              <option value="Kodak Tri-X 400">Kodak Tri-X 400</option>
-              <option value="Kodak Portra 160">Kodak Portra 160</option>
-              <option value="Fujifilm Pro 400H">Fujifilm Pro 400H</option>
-              <option value="Kodak Ektar 100">Kodak Ektar 100</option>
-              <option value="Fujifilm Velvia 50">Fujifilm Velvia 50</option>
-              <option value="Fujifilm Provia 100F">Fujifilm Provia 100F</option>
-              <option value="Kodak Gold 200">Kodak Gold 200</option>
-              <option value="Ilford Delta 3200">Ilford Delta 3200</option>
-              <option value="AgfaPhoto Vista Plus 200">AgfaPhoto Vista Plus 200</option>
-              <option value="Cinestill 800T">Cinestill 800T</option>
-              <option value="Lomography Color Negative 400">Lomography Color Negative 400</option>
-              <option value="Fujifilm Natura 1600">Fujifilm Natura 1600</option>
-              <option value="Ilford Pan F Plus 50">Ilford Pan F Plus 50</option>
-              <option value="Rollei Retro 80S">Rollei Retro 80S</option>
+              <option value="custom">{t('Custom')}</option>
+              <optgroup label={t('Built-in')}>
+                {Object.keys(builtInFilmPresets).map(name => (<option key={name} value={name}>{name}</option>))}
+              </optgroup>
+              {customFilmStocks.length > 0 && (
+                <optgroup label={t('My Film Stocks')}>
+                  {customFilmStocks.map(stock => (<option key={stock.name} value={stock.name}>{stock.name}</option>))}
+                </optgroup>
+              )}
             </select>
           </label>
+          <button onClick={() => setStep('films')} className="btn small">{t('Manage Film Stocks')}</button>
+          <button onClick={() => setStep('rolls')} className="btn small">{t('Rolls')}</button>
+          {activeRoll && (
+            <p className="note">
+              {t('Current roll: {name} ({used}/{total})', { name: activeRoll.name, used: activeRoll.frames.length, total: activeRoll.frameCount })}
+            </p>
+          )}
+          {filmPreset !== 'custom' && filmPresets[filmPreset] && filmPresets[filmPreset].description && (
+            <p className="note">{filmPresets[filmPreset].description}</p>
+          )}
         </div>
         <div className="input-group">
           <label>
-            EV Smoothing Factor:
+            {t('EV Smoothing Factor:')}
             <input type="number" value={smoothingFactor} onChange={(e) => setSmoothingFactor(parseFloat(e.target.value))} step={0.01} min={0.05} max={0.3} />
           </label>
         </div>
         <div className="input-group">
           <label>
-            Over Exposure Threshold:
+            {t('Over Exposure Threshold:')}
             <input type="number" value={overExposureThreshold} onChange={(e) => setOverExposureThreshold(parseInt(e.target.value))} />
           </label>
         </div>
         <div className="input-group">
           <label>
-            Under Exposure Threshold:
+            {t('Under Exposure Threshold:')}
             <input type="number" value={underExposureThreshold} onChange={(e) => setUnderExposureThreshold(parseInt(e.target.value))} />
           </label>
         </div>
-        <button onClick={() => setStep('meter')} className="btn">Confirm & Start Metering</button>
+        <button onClick={() => setStep('meter')} className="btn">{t('Confirm & Start Metering')}</button>
       </div>
     );
   }
 
+  if (step === 'films') {
+    return (
+      <>
+        <DocumentMetadata />
+        <FilmStockEditor customStocks={customFilmStocks} onChange={handleCustomFilmStocksChange} onBack={() => setStep('iso')} />
+      </>
+    );
+  }
+
+  if (step === 'kit') {
+    return (
+      <>
+        <DocumentMetadata />
+        <CameraKitEditor
+          customBodies={customBodies}
+          customLenses={customLenses}
+          onBodiesChange={handleCustomBodiesChange}
+          onLensesChange={handleCustomLensesChange}
+          onBack={() => setStep('iso')}
+        />
+      </>
+    );
+  }
+
+  if (step === 'rolls') {
+    return (
+      <>
+        <DocumentMetadata />
+        <RollLog
+          activeRollId={activeRollId}
+          onActivate={handleActivateRoll}
+          filmNames={Object.keys(filmPresets)}
+          isoOptions={isoOptions}
+          boxSpeeds={Object.fromEntries(Object.entries(filmPresets).map(([name, preset]) => [name, preset.boxSpeed]))}
+          defaultFilmName={filmPresets[filmPreset] ? filmPreset : Object.keys(filmPresets)[0]}
+          defaultExposureIndex={iso}
+          formatShutter={formatShutter}
+          formatAperture={formatAperture}
+          meteringLabels={Object.fromEntries(Object.entries(meteringModeLabels).map(([mode, label]) => [mode, t(label)]))}
+          onBack={() => setStep('iso')}
+        />
+      </>
+    );
+  }
+
   if (step === 'meter') {
     const evDifference = Math.abs(exposure.smoothedEV - exposure.effectiveEV);
     let exposureWarningColor = 'green';
     if (evDifference >= 0.6) exposureWarningColor = 'red';
     else if (evDifference >= 0.3) exposureWarningColor = 'orange';
-    const circleSize = meteringMode === 'spot' ? '3%' : '20%';
+    // 中央重点测光框显示 2σ 范围；点测光框跟随点击位置；平均与评价测光覆盖全画面，不显示测光框
+    const isSpotMode = meteringMode === 'spot' || meteringMode === 'zone';
+    let meteringAreaStyle = null;
+    if (meteringMode === 'center') {
+      const circleSize = `${Math.round(centerFalloff * 200)}%`;
+      meteringAreaStyle = { width: circleSize, height: circleSize };
+    } else if (isSpotMode) {
+      const geometry = getSourceDisplayGeometry(getMeterSource());
+      if (geometry) {
+        const side = (spotSize / CAMERA_HORIZONTAL_FOV) * geometry.displayWidth;
+        meteringAreaStyle = {
+          left: geometry.offsetX + spotPosition.x * geometry.displayWidth,
+          top: geometry.offsetY + spotPosition.y * geometry.displayHeight,
+          width: side,
+          height: side,
+        };
+      }
+    }
+    const meteringDetail = describeMeteringResult(exposure.meteringResult, t);
+    const meteringLabel = t(meteringModeLabels[meteringMode]);
+    // 区域系统模式下，已放置锚点时以放置结果作为推荐曝光
+    const zoneAnalysis = meteringMode === 'zone' ? analyzeZoneReadings(zoneReadings, zoneAnchorId, zoneAnchorZone) : null;
+    const activeExposure = zoneAnalysis
+      ? {
+          ...(meterPriorityMode === 'aperture'
+            ? calculateExposureForEVAperturePriority(zoneAnalysis.exposureEV, meterAperture, exposureGrid)
+            : calculateExposureForEVShutterPriority(zoneAnalysis.exposureEV, chosenShutter, exposureGrid)),
+          smoothedEV: zoneAnalysis.exposureEV,
+          targetEV: zoneAnalysis.exposureEV,
+        }
+      : exposure;
+    const equivalentExposures = getEquivalentExposures(activeExposure.targetEV, exposureGrid);
+    // 记录帧：胶卷拍完，或画面过暗 / 过亮、测光出错（曝光仍是上一次的有效值）时禁用
+    const rollFull = Boolean(activeRoll) && activeRoll.frames.length >= activeRoll.frameCount;
+    const canRecordFrame = Boolean(activeRoll) && !rollFull && (Boolean(zoneAnalysis) || !error) && Number.isFinite(activeExposure.smoothedEV);
+    // 场景亮度范围与所选胶片宽容度的比较
+    const filmLatitude = filmPreset !== 'custom' ? filmPresets[filmPreset].latitude : null;
+    const latitudeAssessment = exposure.dynamicRange && filmLatitude ? assessLatitude(exposure.dynamicRange.range, filmLatitude) : null;
+    const reciprocityCorrection = filmPreset !== 'custom'
+      ? calculateReciprocityCorrection(activeExposure.shutterSpeed, filmPresets[filmPreset].reciprocity)
+      : null;
+    // 读数（含倒易律修正）长于机身最慢的标记快门时，提供 B 门计时器
+    const bulbSeconds = reciprocityCorrection ? reciprocityCorrection.correctedTime : activeExposure.shutterSpeed;
+    // 针孔没有快门档位，1 秒以上即提供计时器
+    const slowestMarkedShutter = exposureGrid.shutters.length ? exposureGrid.shutters[exposureGrid.shutters.length - 1] : 1;
+    const needsBulbTimer = !error && bulbSeconds > slowestMarkedShutter * 1.01;
     return (
       <>
         <GoogleAnalytics trackingId="G-1ZZ5X14QXX" />
@@ -747,56 +1728,239 @@ function App() {
         <div className="meter-container">
           <DocumentMetadata />
           <header className="meter-header">
-            <button onClick={() => setStep('iso')} className="btn small">Back</button>
-            <button onClick={handleAeLock} className="btn small">{aeLocked ? 'Unlock AE' : 'AE Lock'}</button>
-            <h1 className="header-title">Measuring Exposure</h1>
+            <button onClick={() => setStep('iso')} className="btn small">{t('Back')}</button>
+            <button onClick={handleAeLock} className="btn small">{aeLocked ? t('Unlock AE') : t('AE Lock')}</button>
+            <button onClick={() => setFlashEnabled(!flashEnabled)} className="btn small">{flashEnabled ? t('Ambient Only') : t('Flash')}</button>
+            {stillImage ? (
+              stream && <button onClick={() => setStillImage(null)} className="btn small">{t('Live View')}</button>
+            ) : (
+              <button onClick={handleCaptureStill} className="btn small">{t('Capture Still')}</button>
+            )}
+            <label className="btn small">
+              {t('Open Image')}
+              <input type="file" accept="image/*" onChange={handleImageFile} hidden />
+            </label>
+            {activeRoll && (
+              <button onClick={() => handleRecordFrame(activeExposure)} className="btn small" disabled={!canRecordFrame || recording}>
+                {rollFull
+                  ? t('Roll Full {total}/{total}', { total: activeRoll.frameCount })
+                  : t('Record Frame {number}/{total}', { number: activeRoll.frames.length + 1, total: activeRoll.frameCount })}
+              </button>
+            )}
+            <button onClick={cycleOverlayMode} className="btn small">
+              {t('Overlay: {mode}', { mode: t(overlayModes.find(m => m.value === overlayMode).label) })}
+            </button>
+            {isSpotMode && (spotPosition.x !== 0.5 || spotPosition.y !== 0.5) && (
+              <button onClick={() => moveSpot(DEFAULT_SPOT_POSITION)} className="btn small">{t('Center Spot')}</button>
+            )}
+            {cameraSelect}
+            <h1 className="header-title">{stillImage ? t('Metering Still Image') : t('Measuring Exposure')}</h1>
             <div></div>
           </header>
           <main className="meter-main">
-            <div className="video-container">
-              <video ref={videoRef} className="video-preview" playsInline muted />
-              <div className="metering-area" style={{ width: circleSize, height: circleSize }} />
+            <div className={isSpotMode ? 'video-container tap-to-meter' : 'video-container'} onClick={handleVideoTap}>
+              {stillImage ? (
+                <img ref={imageRef} src={stillImage} className="video-preview" alt={t('Metered still')} />
+              ) : (
+                <video ref={videoRef} className="video-preview" playsInline muted />
+              )}
+              {overlayMode !== 'off' && <canvas ref={overlayCanvasRef} className="exposure-overlay" />}
+              {meteringAreaStyle && <div className={isSpotMode ? 'metering-area spot' : 'metering-area'} style={meteringAreaStyle} />}
             </div>
+            {overlayMode === 'falseColor' && (
+              <ul className="false-color-legend">
+                {getFalseColorBands(underExposureThreshold, overExposureThreshold).map(band => (
+                  <li key={band.label}>
+                    <span className="swatch" style={{ background: `rgb(${band.color.join(',')})` }} />
+                    {t(band.label)} ({Math.round(band.min / 2.55)}–{Math.round(Math.min(band.max, 255) / 2.55)} IRE)
+                  </li>
+                ))}
+              </ul>
+            )}
             <canvas ref={histCanvasRef} className="histogram-canvas" />
-            <canvas ref={canvasRef} className="hidden-canvas" />
             <div className="exposure-info">
+              <ExposureTimer available={needsBulbTimer} suggestedSeconds={bulbSeconds} formatShutter={formatShutter} />
               {error ? (
                 <div className="error-message">
-                  <p>{error}</p>
-                  <button onClick={() => setStep('iso')}>Adjust Settings</button>
+                  <p>{t(error)}</p>
+                  <button onClick={() => setStep('iso')}>{t('Adjust Settings')}</button>
                 </div>
               ) : (
                 <>
+                  {flashEnabled && (
+                    <FlashPanel
+                      settings={flashSettings}
+                      onChange={(changes) => setFlashSettings(prev => ({ ...prev, ...changes }))}
+                      iso={iso}
+                      result={calculateFlashExposure(flashSettings, iso, exposure.effectiveEV, exposureGrid, lightLossStops)}
+                      formatApertureLabel={formatApertureWithEffective}
+                    />
+                  )}
+                  {meteringMode === 'zone' && (
+                    <ZoneSystemPanel
+                      readings={zoneReadings}
+                      anchorId={zoneAnchorId}
+                      anchorZone={zoneAnchorZone}
+                      analysis={zoneAnalysis}
+                      liveEV={exposure.smoothedEV}
+                      onAddReading={handleAddZoneReading}
+                      onRemoveReading={handleRemoveZoneReading}
+                      onClear={handleClearZoneReadings}
+                      onAnchorChange={setZoneAnchorId}
+                      onAnchorZoneChange={setZoneAnchorZone}
+                    />
+                  )}
                   <p>
-                    {priorityMode === 'shutter'
-                      ? `Chosen Shutter: ${exposure.shutterSpeed > 0 && exposure.shutterSpeed < 1 ? `1/${Math.round(1 / exposure.shutterSpeed)} sec` : `${exposure.shutterSpeed.toFixed(1).replace(/\\.0$/, '')} sec`}`
-                      : `Chosen Aperture: f/${exposure.aperture}`}
+                    {meterPriorityMode === 'shutter'
+                      ? t('Chosen Shutter: {shutter}', { shutter: formatShutter(activeExposure.shutterSpeed) })
+                      : t('Chosen Aperture: {aperture}', { aperture: formatApertureWithEffective(activeExposure.aperture) })}
                   </p>
                   <p>
-                    Recommended {priorityMode === 'shutter' ? 'Aperture' : 'Shutter Speed'}: {priorityMode === 'shutter'
-                      ? (exposure.aperture ? `f/${exposure.aperture % 1 === 0 ? exposure.aperture.toFixed(0) : exposure.aperture.toFixed(1)}` : '--')
-                      : (exposure.shutterSpeed > 0 && exposure.shutterSpeed < 1 ? `1/${Math.round(1 / exposure.shutterSpeed)} sec` : `${exposure.shutterSpeed.toFixed(1).replace(/\\.0$/, '')} sec`)}
+                    {meterPriorityMode === 'shutter' ? t('Recommended Aperture') : t('Recommended Shutter Speed')}
+                    {zoneAnalysis ? ` ${t('(Zone placement)')}` : ''}: {meterPriorityMode === 'shutter'
+                      ? (activeExposure.aperture ? formatApertureWithEffective(activeExposure.aperture) : '--')
+                      : `${activeExposure.bulb ? 'B · ' : ''}${formatShutter(activeExposure.shutterSpeed)}`}
                   </p>
+                  {reciprocityCorrection && (
+                    <div className="reciprocity-info">
+                      <p>
+                        {t('Reciprocity ({film}): metered {metered} → expose {corrected} (+{stops} EV)', {
+                          film: filmPreset,
+                          metered: formatShutter(activeExposure.shutterSpeed),
+                          corrected: formatShutter(reciprocityCorrection.correctedTime),
+                          stops: reciprocityCorrection.stops.toFixed(1),
+                        })}
+                      </p>
+                      {reciprocityCorrection.development !== null && (
+                        <p>
+                          {t('Development: {change}% time', {
+                            change: `${reciprocityCorrection.development > 0 ? '+' : ''}${reciprocityCorrection.development}`,
+                          })}
+                        </p>
+                      )}
+                      {reciprocityCorrection.extrapolated && (
+                        <p className="note">{t('Beyond published data, extrapolated. Bracket this exposure.')}</p>
+                      )}
+                    </div>
+                  )}
                   <p style={{ color: exposureWarningColor }}>
-                    Current EV: {Number.isFinite(exposure.smoothedEV) ? exposure.smoothedEV.toFixed(1) : 'N/A'}
+                    {t('Current EV: {ev}', { ev: Number.isFinite(exposure.smoothedEV) ? exposure.smoothedEV.toFixed(1) : 'N/A' })}
+                  </p>
+                  <p>{t('Scene: {description}', { description: t(getSceneDescription(exposure.smoothedEV)) })}</p>
+                  {exposure.dynamicRange && (
+                    <p>
+                      {t('Scene Range: {range} stops', {
+                        range: `${exposure.dynamicRange.range.toFixed(1)}${exposure.dynamicRange.clipped ? '+' : ''}`,
+                      })}
+                      {filmLatitude ? ` · ${t('{film} latitude: {latitude} stops', { film: filmPreset, latitude: filmLatitude })}` : ''}
+                    </p>
+                  )}
+                  {latitudeAssessment && (latitudeAssessment.fits ? (
+                    <p className="note">
+                      {t("Fits within the film's latitude with {stops} stops to spare.", { stops: latitudeAssessment.spare.toFixed(1) })}
+                    </p>
+                  ) : latitudeAssessment.protect === 'highlights' ? (
+                    <p className="warning">
+                      {t('Expose for the highlights: about {stops} stops of shadow detail will block up.', { stops: latitudeAssessment.lostStops.toFixed(1) })}
+                    </p>
+                  ) : (
+                    <p className="warning">
+                      {t('Expose for the shadows: about {stops} stops of highlight detail will wash out.', { stops: latitudeAssessment.lostStops.toFixed(1) })}
+                    </p>
+                  ))}
+                  {exposure.dynamicRange && exposure.dynamicRange.clipped && (
+                    <p className="note">{t('The phone camera clipped part of the scene, so the real range may be wider.')}</p>
+                  )}
+                  {bellows.magnification > 0 && (
+                    <p>
+                      {t('Bellows: m = {magnification}, ×{factor} (+{stops} EV)', {
+                        magnification: bellows.magnification.toFixed(2),
+                        factor: bellows.factor.toFixed(2),
+                        stops: bellows.stops.toFixed(1),
+                      })}
+                    </p>
+                  )}
+                  {pushPull && (
+                    <p className={pushPull.exceeds ? 'warning' : undefined}>
+                      {t('Film: {film} @ EI {iso}', { film: filmPreset, iso })}
+                      {pushPullLabel && ` (${pushPullLabel})`}
+                    </p>
+                  )}
+                  {pinhole && <p>{t('Pinhole: f/{fNumber}, exposure time computed continuously', { fNumber: Math.round(pinhole.fNumber) })}</p>}
+                  {!pinhole && (activeBody || activeLens) && (
+                    <p>
+                      {t('Kit: {kit}', { kit: [activeBody && activeBody.name, activeLens && activeLens.name].filter(Boolean).join(' + ') })}
+                    </p>
+                  )}
+                  {activeFilters.length > 0 && (
+                    <p>
+                      {t('Filters: {filters} (×{factor}, −{stops} EV)', {
+                        filters: activeFilters.map(id => t(lensFilters[id].label)).join(' + '),
+                        factor: Math.round(Math.pow(2, filterStops) * 10) / 10,
+                        stops: filterStops.toFixed(1),
+                      })}
+                    </p>
+                  )}
+                  {exposure.illuminance && (
+                    <p>
+                      {t('Illuminance: {lux} lux ({footCandles} fc)', {
+                        lux: formatIlluminance(exposure.illuminance.lux, i18n.formatNumber),
+                        footCandles: formatIlluminance(exposure.illuminance.footCandles, i18n.formatNumber),
+                      })}
+                    </p>
+                  )}
+                  {exposure.exposureBase && <p>{t('Mode: {base}', { base: describeExposureBase(exposure.exposureBase, i18n) })}</p>}
+                  <p>
+                    {t('Metering: {mode}', { mode: `${lightMeasurement === 'incident' ? `${t('incident')}, ` : ''}${meteringLabel}` })}
+                    {meteringMode === 'center' && `, σ = ${Math.round(centerFalloff * 100)}%`}
+                    {isSpotMode && `, ${t('{size}° at ({x}%, {y}%)', { size: spotSize, x: Math.round(spotPosition.x * 100), y: Math.round(spotPosition.y * 100) })}`}
+                    {meteringDetail && ` · ${meteringDetail}`}
                   </p>
-                  <p>Scene: {getSceneDescription(exposure.smoothedEV)}</p>
                   <p className="note">
-                    (Using {meteringMode === 'center'
-                      ? 'center-weighted (Central 20%, Gaussian Weighting)'
-                      : 'spot (Central 3% area)'} metering, ISO = {iso}, EV Compensation = {compensation}, Priority Mode = {priorityMode}, Calibration Factor = {calibrationFactor})
+                    ({t('Using {mode} metering, {speedLabel} = {iso}, EV Compensation = {compensation}, Priority Mode = {priority}, {calibrationLabel} = {calibration}', {
+                      mode: meteringLabel,
+                      speedLabel: activeFilmStock ? 'EI' : 'ISO',
+                      iso,
+                      compensation,
+                      priority: meterPriorityMode === 'shutter' ? t('Shutter Priority') : t('Aperture Priority'),
+                      calibrationLabel: lightMeasurement === 'incident' ? t('Incident Calibration Factor') : t('Calibration Factor'),
+                      calibration: activeCalibrationFactor,
+                    })})
                   </p>
                   <p className="note">
-                    EV formula: EV = {referenceEV} + log₂((Brightness × {calibrationFactor})/{referenceGray}) + log₂(ISO/100)
+                    {t('EV formula:')} EV = {exposure.exposureBase ? exposure.exposureBase.baseEV.toFixed(1) : referenceEV} + log₂((Brightness × {activeCalibrationFactor})/{referenceGray}) + log₂(ISO/100)
                   </p>
-                  <p>Exposure difference: {Math.abs(exposure.evDifference).toFixed(1)} EV</p>
-                  {exposureWarning && <p className="warning">{exposureWarning}</p>}
+                  <p>{t('Exposure difference: {ev} EV', { ev: Math.abs(exposure.evDifference).toFixed(1) })}</p>
+                  {exposureWarning && <p className="warning">{t(exposureWarning)}</p>}
+                  {equivalentExposures.length > 0 && (
+                    <table className="equivalent-table">
+                      <caption>{t('Equivalent Exposures (EV {ev})', { ev: activeExposure.targetEV.toFixed(1) })}</caption>
+                      <thead>
+                        <tr>
+                          <th>{t('Aperture')}</th>
+                          <th>{t('Shutter')}</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {equivalentExposures.map(({ aperture, shutter, inRange, bulb }) => {
+                          const isRecommended = aperture === activeExposure.aperture && (bulb ? activeExposure.bulb : shutter === activeExposure.shutterSpeed);
+                          const rowClass = isRecommended ? 'recommended' : !inRange ? 'out-of-range' : undefined;
+                          return (
+                            <tr key={aperture} className={rowClass}>
+                              <td>{formatApertureWithEffective(aperture)}</td>
+                              <td>{inRange ? `${bulb ? 'B · ' : ''}${formatShutter(shutter)}` : t('Out of range')}</td>
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                  )}
                 </>
               )}
             </div>
           </main>
           <footer className="app-footer">
-            <p>© {new Date().getFullYear()} Film Camera Light Meter. tokugai.com All rights reserved.</p>
+            <p>© {new Date().getFullYear()} {t('Film Camera Light Meter')}. tokugai.com {t('All rights reserved.')}</p>
           </footer>
         </div>
       </>
@@ -815,16 +1979,33 @@ class ErrorBoundary extends React.Component {
   }
   render() {
     if (this.state.hasError) {
-      return <div className="error">Measurement system error</div>;
+      return <div className="error">{this.context.t('Measurement system error')}</div>;
     }
     return this.props.children;
   }
 }
 
+ErrorBoundary.contextType = I18nContext;
+
+// 界面语言：默认按浏览器语言自动检测，手动选择后保存到 localStorage
 export default function AppWrapper() {
+  const [language, setLanguage] = useState(loadLanguage);
+  const i18n = useMemo(() => createI18n(language), [language]);
+
+  useEffect(() => {
+    document.documentElement.lang = language;
+  }, [language]);
+
+  function handleLanguageChange(newLanguage) {
+    setLanguage(newLanguage);
+    saveLanguage(newLanguage);
+  }
+
   return (
-    <ErrorBoundary>
-      <App />
-    </ErrorBoundary>
+    <I18nContext.Provider value={i18n}>
+      <ErrorBoundary>
+        <App onLanguageChange={handleLanguageChange} />
+      </ErrorBoundary>
+    </I18nContext.Provider>
   );
 }
\ No newline at end of file
@@ -0,0 +1,214 @@
+// CameraKitEditor.js
+import React, { useState } from 'react';
+import { useI18n } from './i18n.js';
+import {
+  builtInBodies,
+  builtInLenses,
+  parseShutterList,
+  normalizeBody,
+  normalizeLens,
+} from './cameraKit.js';
+
+const emptyBodyDraft = { name: '', shutterType: 'range', fastest: '1/1000', slowest: '1', shutterList: '', bulb: true };
+const emptyLensDraft = { name: '', maxAperture: '', minAperture: '', apertureScale: 'full' };
+
+const apertureScaleLabels = { full: 'Full stops', half: 'Half stops', third: 'Third stops' };
+
+// 快门显示：短于 1 秒用分数
+function formatSpeed(seconds) {
+  return seconds < 1 ? `1/${Math.round(1 / seconds)}` : `${seconds}s`;
+}
+
+function describeBody(body) {
+  const speeds = body.shutterType === 'fixed'
+    ? body.shutterSpeeds.map(formatSpeed).join(', ')
+    : `${formatSpeed(body.fastest)}–${formatSpeed(body.slowest)}`;
+  return `${speeds}${body.bulb ? ', B' : ''}`;
+}
+
+function describeLens(lens, t) {
+  return `f/${lens.maxAperture}–${lens.minAperture}, ${t(apertureScaleLabels[lens.apertureScale]).toLowerCase()}`;
+}
+
+/**
+ * CameraKitEditor – 自定义机身与镜头的新建和删除
+ * 内置示例只读
+ */
+export default function CameraKitEditor({ customBodies, customLenses, onBodiesChange, onLensesChange, onBack }) {
+  const { t } = useI18n();
+  const [bodyDraft, setBodyDraft] = useState(null);
+  const [lensDraft, setLensDraft] = useState(null);
+  const [message, setMessage] = useState('');
+
+  const nameTaken = (name, builtIns, customs) => [...builtIns, ...customs].some(item => item.name === name);
+
+  // 快门文字输入（如 "1/500"、"B"）先经 parseShutterList 转为秒数
+  function handleSaveBody() {
+    const { shutterSpeeds, bulb } = parseShutterList(bodyDraft.shutterList);
+    const body = normalizeBody({
+      name: bodyDraft.name,
+      shutterType: bodyDraft.shutterType,
+      fastest: parseShutterList(bodyDraft.fastest).shutterSpeeds[0],
+      slowest: parseShutterList(bodyDraft.slowest).shutterSpeeds[0],
+      shutterSpeeds,
+      bulb: bodyDraft.shutterType === 'fixed' ? bulb : bodyDraft.bulb,
+    });
+    if (!body) {
+      setMessage(t('Please enter a name and valid shutter speeds (fastest must not be slower than slowest).'));
+      return;
+    }
+    if (nameTaken(body.name, builtInBodies, customBodies)) {
+      setMessage(t('A camera body named "{name}" already exists.', { name: body.name }));
+      return;
+    }
+    onBodiesChange([...customBodies, body]);
+    setBodyDraft(null);
+    setMessage('');
+  }
+
+  function handleSaveLens() {
+    const lens = normalizeLens(lensDraft);
+    if (!lens) {
+      setMessage(t('Please enter a name and valid apertures (maximum must not be smaller than minimum).'));
+      return;
+    }
+    if (nameTaken(lens.name, builtInLenses, customLenses)) {
+      setMessage(t('A lens named "{name}" already exists.', { name: lens.name }));
+      return;
+    }
+    onLensesChange([...customLenses, lens]);
+    setLensDraft(null);
+    setMessage('');
+  }
+
+  function handleDelete(name, items, onChange) {
+    if (window.confirm(t('Delete "{name}"?', { name }))) {
+      onChange(items.filter(item => item.name !== name));
+    }
+  }
+
+  if (bodyDraft) {
+    return (
+      <div className="container film-editor">
+        <h1 className="title">{t('New Camera Body')}</h1>
+        {message && <p className="note">{message}</p>}
+        <div className="film-form">
+          <label>
+            {t('Name:')}
+            <input type="text" value={bodyDraft.name} onChange={(e) => setBodyDraft({ ...bodyDraft, name: e.target.value })} />
+          </label>
+          <label>
+            {t('Shutter:')}
+            <select value={bodyDraft.shutterType} onChange={(e) => setBodyDraft({ ...bodyDraft, shutterType: e.target.value })} className="select">
+              <option value="range">{t('Range of standard speeds')}</option>
+              <option value="fixed">{t('Fixed list')}</option>
+            </select>
+          </label>
+          {bodyDraft.shutterType === 'range' ? (
+            <>
+              <label>
+                {t('Fastest:')}
+                <input type="text" value={bodyDraft.fastest} onChange={(e) => setBodyDraft({ ...bodyDraft, fastest: e.target.value })} />
+              </label>
+              <label>
+                {t('Slowest:')}
+                <input type="text" value={bodyDraft.slowest} onChange={(e) => setBodyDraft({ ...bodyDraft, slowest: e.target.value })} />
+              </label>
+              <label>
+                {t('Bulb (B):')}
+                <input type="checkbox" checked={bodyDraft.bulb} onChange={(e) => setBodyDraft({ ...bodyDraft, bulb: e.target.checked })} />
+              </label>
+            </>
+          ) : (
+            <label>
+              {t('Speeds:')}
+              <input
+                type="text"
+                value={bodyDraft.shutterList}
+                placeholder="1/200, 1/40, B"
+                onChange={(e) => setBodyDraft({ ...bodyDraft, shutterList: e.target.value })}
+              />
+            </label>
+          )}
+          <div className="film-actions">
+            <button onClick={handleSaveBody} className="btn small">{t('Save')}</button>
+            <button onClick={() => { setBodyDraft(null); setMessage(''); }} className="btn small">{t('Cancel')}</button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (lensDraft) {
+    return (
+      <div className="container film-editor">
+        <h1 className="title">{t('New Lens')}</h1>
+        {message && <p className="note">{message}</p>}
+        <div className="film-form">
+          <label>
+            {t('Name:')}
+            <input type="text" value={lensDraft.name} onChange={(e) => setLensDraft({ ...lensDraft, name: e.target.value })} />
+          </label>
+          <label>
+            {t('Maximum Aperture (f/):')}
+            <input type="number" value={lensDraft.maxAperture} step={0.1} onChange={(e) => setLensDraft({ ...lensDraft, maxAperture: e.target.value })} />
+          </label>
+          <label>
+            {t('Minimum Aperture (f/):')}
+            <input type="number" value={lensDraft.minAperture} step={1} onChange={(e) => setLensDraft({ ...lensDraft, minAperture: e.target.value })} />
+          </label>
+          <label>
+            {t('Aperture Ring:')}
+            <select value={lensDraft.apertureScale} onChange={(e) => setLensDraft({ ...lensDraft, apertureScale: e.target.value })} className="select">
+              {Object.entries(apertureScaleLabels).map(([value, label]) => (<option key={value} value={value}>{t(label)}</option>))}
+            </select>
+          </label>
+          <div className="film-actions">
+            <button onClick={handleSaveLens} className="btn small">{t('Save')}</button>
+            <button onClick={() => { setLensDraft(null); setMessage(''); }} className="btn small">{t('Cancel')}</button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="container film-editor">
+      <h1 className="title">{t('Bodies & Lenses')}</h1>
+      {message && <p className="note">{message}</p>}
+      <div className="film-actions">
+        <button onClick={() => setBodyDraft({ ...emptyBodyDraft })} className="btn small">{t('New Body')}</button>
+        <button onClick={() => setLensDraft({ ...emptyLensDraft })} className="btn small">{t('New Lens')}</button>
+      </div>
+      <h2 className="message">{t('Camera Bodies')}</h2>
+      <ul className="film-list">
+        {builtInBodies.map(body => (
+          <li key={body.name}>
+            <span>{body.name} · {describeBody(body)}</span>
+          </li>
+        ))}
+        {customBodies.map(body => (
+          <li key={body.name}>
+            <span>{body.name} · {describeBody(body)}</span>
+            <button onClick={() => handleDelete(body.name, customBodies, onBodiesChange)} className="btn small">{t('Delete')}</button>
+          </li>
+        ))}
+      </ul>
+      <h2 className="message">{t('Lenses')}</h2>
+      <ul className="film-list">
+        {builtInLenses.map(lens => (
+          <li key={lens.name}>
+            <span>{lens.name} · {describeLens(lens, t)}</span>
+          </li>
+        ))}
+        {customLenses.map(lens => (
+          <li key={lens.name}>
+            <span>{lens.name} · {describeLens(lens, t)}</span>
+            <button onClick={() => handleDelete(lens.name, customLenses, onLensesChange)} className="btn small">{t('Delete')}</button>
+          </li>
+        ))}
+      </ul>
+      <button onClick={onBack} className="btn">{t('Back to Settings')}</button>
+    </div>
+  );
+}
@@ -0,0 +1,158 @@
+// ExposureTimer.js
+import React, { useEffect, useRef, useState } from 'react';
+import { useI18n } from './i18n.js';
+
+// 倒计时刷新间隔（毫秒）；剩余时间按结束时刻计算，刷新延迟不会累积误差
+const TICK_MS = 100;
+
+// 提示：开始、过半、结束各用不同音高与振动节奏，结束音最长
+const cues = {
+  start: { frequency: 880, duration: 0.15, vibration: 200 },
+  half: { frequency: 660, duration: 0.15, vibration: [100, 100, 100] },
+  end: { frequency: 1320, duration: 0.6, vibration: [400, 150, 400] },
+};
+
+function playCue(audioContext, cue) {
+  if (audioContext) {
+    const oscillator = audioContext.createOscillator();
+    const gain = audioContext.createGain();
+    const now = audioContext.currentTime;
+    oscillator.frequency.value = cue.frequency;
+    gain.gain.setValueAtTime(0.3, now);
+    gain.gain.exponentialRampToValueAtTime(0.001, now + cue.duration);
+    oscillator.connect(gain).connect(audioContext.destination);
+    oscillator.start(now);
+    oscillator.stop(now + cue.duration);
+  }
+  if (navigator.vibrate) navigator.vibrate(cue.vibration);
+}
+
+// 倒计时显示：m:ss.s
+function formatCountdown(seconds) {
+  const tenths = Math.max(Math.ceil(seconds * 10), 0);
+  const minutes = Math.floor(tenths / 600);
+  const rest = (tenths % 600) / 10;
+  return `${minutes}:${rest < 10 ? '0' : ''}${rest.toFixed(1)}`;
+}
+
+/**
+ * ExposureTimer – B 门长曝光计时器
+ * 时长默认取当前读数（已含倒易律修正），可手动修改；
+ * 开始、过半、结束时发出提示音并振动，计时期间保持屏幕常亮
+ * available 为 false 且未在计时时不显示
+ */
+export default function ExposureTimer({ available, suggestedSeconds, formatShutter }) {
+  const { t } = useI18n();
+  // manualSeconds 为 null 时跟随读数
+  const [manualSeconds, setManualSeconds] = useState(null);
+  const [run, setRun] = useState(null); // { endTime, total }
+  const [remaining, setRemaining] = useState(0);
+  const [finished, setFinished] = useState(false);
+  const audioContextRef = useRef(null);
+  const seconds = manualSeconds !== null ? manualSeconds : Math.max(Math.ceil(suggestedSeconds), 1);
+
+  useEffect(() => {
+    if (!run) return;
+    let halfCued = false;
+    const id = setInterval(() => {
+      const left = (run.endTime - Date.now()) / 1000;
+      if (!halfCued && left <= run.total / 2) {
+        halfCued = true;
+        playCue(audioContextRef.current, cues.half);
+      }
+      if (left <= 0) {
+        playCue(audioContextRef.current, cues.end);
+        setRun(null);
+        setRemaining(0);
+        setFinished(true);
+      } else {
+        setRemaining(left);
+      }
+    }, TICK_MS);
+    return () => clearInterval(id);
+  }, [run]);
+
+  // 计时期间保持屏幕常亮；页面切回前台时浏览器会释放锁，需重新申请
+  useEffect(() => {
+    if (!run || !('wakeLock' in navigator)) return;
+    let lock = null;
+    let released = false;
+    const acquire = () => {
+      navigator.wakeLock.request('screen')
+        .then(sentinel => {
+          if (released) sentinel.release();
+          else lock = sentinel;
+        })
+        .catch(err => console.error('Wake lock error:', err));
+    };
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'visible') acquire();
+    };
+    acquire();
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => {
+      released = true;
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      if (lock) lock.release();
+    };
+  }, [run]);
+
+  useEffect(() => {
+    return () => {
+      if (audioContextRef.current) audioContextRef.current.close();
+    };
+  }, []);
+
+  // AudioContext 须在用户操作中创建或恢复，否则浏览器会静音
+  function handleStart() {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!audioContextRef.current && AudioContextClass) audioContextRef.current = new AudioContextClass();
+    if (audioContextRef.current) audioContextRef.current.resume();
+    playCue(audioContextRef.current, cues.start);
+    setRun({ endTime: Date.now() + seconds * 1000, total: seconds });
+    setRemaining(seconds);
+    setFinished(false);
+  }
+
+  function handleCancel() {
+    setRun(null);
+    if (navigator.vibrate) navigator.vibrate(0);
+  }
+
+  if (!available && !run) return null;
+
+  return (
+    <div className="exposure-timer">
+      <p>{t('Bulb Timer')}</p>
+      {run ? (
+        <>
+          <p className="timer-countdown">{formatCountdown(remaining)}</p>
+          <progress value={run.total - remaining} max={run.total} />
+          <button onClick={handleCancel} className="btn small">{t('Cancel')}</button>
+        </>
+      ) : (
+        <>
+          <label>
+            {t('Duration (s):')}
+            <input
+              type="number"
+              value={seconds}
+              onChange={(e) => setManualSeconds(Math.max(parseFloat(e.target.value) || 1, 1))}
+              min={1}
+              step={1}
+            />
+          </label>
+          <div className="timer-actions">
+            {manualSeconds !== null && (
+              <button onClick={() => setManualSeconds(null)} className="btn small">
+                {t('Use Reading ({shutter})', { shutter: formatShutter(suggestedSeconds) })}
+              </button>
+            )}
+            <button onClick={handleStart} className="btn small">{t('Start')}</button>
+          </div>
+          {finished && <p className="note">{t('Exposure complete. Close the shutter.')}</p>}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,179 @@
+// FilmStockEditor.js
+import React, { useState } from 'react';
+import { useI18n } from './i18n.js';
+import {
+  builtInFilmPresets,
+  emptyFilmStock,
+  normalizeFilmStock,
+  isBuiltInFilmPreset,
+  exportFilmStocksJSON,
+  parseFilmStocksJSON,
+} from './filmPresets.js';
+import { downloadTextFile } from './exposureExport.js';
+
+// 表单中的数值字段
+const numericFields = [
+  { key: 'boxSpeed', label: 'Box Speed (ISO)', step: 1 },
+  { key: 'calibrationFactor', label: 'Calibration Factor', step: 0.01 },
+  { key: 'overExposureThreshold', label: 'Over Exposure Threshold', step: 1 },
+  { key: 'underExposureThreshold', label: 'Under Exposure Threshold', step: 1 },
+  { key: 'recommendedCompensation', label: 'Recommended Compensation (EV)', step: 0.1 },
+  { key: 'latitude', label: 'Exposure Latitude (stops)', step: 0.5 },
+  { key: 'maxPush', label: 'Max Push (stops)', step: 1 },
+  { key: 'maxPull', label: 'Max Pull (stops)', step: 1 },
+];
+
+// 生成不与现有胶片重名的名称
+function uniqueName(baseName, customStocks) {
+  const taken = (name) => isBuiltInFilmPreset(name) || customStocks.some(s => s.name === name);
+  let name = `${baseName} (copy)`;
+  for (let i = 2; taken(name); i++) name = `${baseName} (copy ${i})`;
+  return name;
+}
+
+/**
+ * FilmStockEditor – 自定义胶片的新建、编辑、克隆、删除与导入导出
+ * 内置预设只读，只能克隆为自定义胶片后修改
+ */
+export default function FilmStockEditor({ customStocks, onChange, onBack }) {
+  const { t } = useI18n();
+  // draft 为正在编辑的胶片；originalName 为 null 表示新建
+  const [draft, setDraft] = useState(null);
+  const [originalName, setOriginalName] = useState(null);
+  const [message, setMessage] = useState('');
+
+  function startNew() {
+    setDraft({ ...emptyFilmStock });
+    setOriginalName(null);
+    setMessage('');
+  }
+
+  function startEdit(stock) {
+    setDraft({ ...stock });
+    setOriginalName(stock.name);
+    setMessage('');
+  }
+
+  function startClone(name, preset) {
+    setDraft({ ...emptyFilmStock, ...preset, name: uniqueName(name, customStocks) });
+    setOriginalName(null);
+    setMessage('');
+  }
+
+  function handleDelete(name) {
+    if (window.confirm(t('Delete "{name}"?', { name }))) {
+      onChange(customStocks.filter(s => s.name !== name));
+    }
+  }
+
+  function handleSave() {
+    const stock = normalizeFilmStock(draft);
+    if (!stock) {
+      setMessage(t('Please enter a name, a positive box speed and calibration factor, thresholds from 0 to 255 (under below over) and non-negative push / pull limits.'));
+      return;
+    }
+    const nameTaken = isBuiltInFilmPreset(stock.name) || customStocks.some(s => s.name === stock.name && s.name !== originalName);
+    if (nameTaken) {
+      setMessage(t('A film stock named "{name}" already exists.', { name: stock.name }));
+      return;
+    }
+    onChange(
+      originalName === null
+        ? [...customStocks, stock]
+        : customStocks.map(s => (s.name === originalName ? stock : s))
+    );
+    setDraft(null);
+    setMessage('');
+  }
+
+  function handleExport() {
+    downloadTextFile('film-stocks.json', exportFilmStocksJSON(customStocks), 'application/json');
+  }
+
+  // 导入时同名的自定义胶片被覆盖，其余追加
+  async function handleImport(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const imported = parseFilmStocksJSON(await file.text());
+      const importedNames = imported.map(s => s.name);
+      onChange([...customStocks.filter(s => !importedNames.includes(s.name)), ...imported]);
+      setMessage(imported.length === 1
+        ? t('Imported 1 film stock.')
+        : t('Imported {count} film stocks.', { count: imported.length }));
+    } catch (err) {
+      console.error('Film stock import error:', err);
+      setMessage(t('Unable to import file. Please choose a film stock JSON export.'));
+    }
+  }
+
+  return (
+    <div className="container film-editor">
+      <h1 className="title">{t('Film Stocks')}</h1>
+      {message && <p className="note">{message}</p>}
+      {draft ? (
+        <div className="film-form">
+          <label>
+            {t('Name:')}
+            <input type="text" value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} />
+          </label>
+          {numericFields.map(field => (
+            <label key={field.key}>
+              {t(field.label)}:
+              <input
+                type="number"
+                value={draft[field.key]}
+                step={field.step}
+                onChange={(e) => setDraft({ ...draft, [field.key]: e.target.value })}
+              />
+            </label>
+          ))}
+          <label>
+            {t('Description:')}
+            <textarea value={draft.description} onChange={(e) => setDraft({ ...draft, description: e.target.value })} rows={3} />
+          </label>
+          <div className="film-actions">
+            <button onClick={handleSave} className="btn small">{t('Save')}</button>
+            <button onClick={() => setDraft(null)} className="btn small">{t('Cancel')}</button>
+          </div>
+        </div>
+      ) : (
+        <>
+          <div className="film-actions">
+            <button onClick={startNew} className="btn small">{t('New Film Stock')}</button>
+            <button onClick={handleExport} className="btn small" disabled={!customStocks.length}>{t('Export JSON')}</button>
+            <label className="btn small">
+              {t('Import JSON')}
+              <input type="file" accept="application/json,.json" onChange={handleImport} hidden />
+            </label>
+          </div>
+          <h2 className="message">{t('My Film Stocks')}</h2>
+          {customStocks.length === 0 && <p className="note">{t('No custom film stocks yet. Create one or clone a built-in preset.')}</p>}
+          <ul className="film-list">
+            {customStocks.map(stock => (
+              <li key={stock.name}>
+                <span>{stock.name} · ISO {stock.boxSpeed}</span>
+                <span>
+                  <button onClick={() => startEdit(stock)} className="btn small">{t('Edit')}</button>
+                  <button onClick={() => startClone(stock.name, stock)} className="btn small">{t('Clone')}</button>
+                  <button onClick={() => handleDelete(stock.name)} className="btn small">{t('Delete')}</button>
+                </span>
+              </li>
+            ))}
+          </ul>
+          <h2 className="message">{t('Built-in Presets (read-only)')}</h2>
+          <ul className="film-list">
+            {Object.entries(builtInFilmPresets).map(([name, preset]) => (
+              <li key={name}>
+                <span>{name} · ISO {preset.boxSpeed}</span>
+                <button onClick={() => startClone(name, preset)} className="btn small">{t('Clone')}</button>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+      <button onClick={onBack} className="btn">{t('Back to Settings')}</button>
+    </div>
+  );
+}
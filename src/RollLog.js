@@ -0,0 +1,255 @@
+// RollLog.js
+import React, { useEffect, useState } from 'react';
+import { useI18n } from './i18n.js';
+import { listRolls, saveRoll, deleteRoll, createRoll, frameCountOptions } from './rollStore.js';
+import { formatPushPull } from './filmPresets.js';
+import {
+  DEFAULT_SCAN_PATTERN,
+  describeExposureIndex,
+  scanFileName,
+  buildXMPArchive,
+  buildExifToolCSV,
+  downloadTextFile,
+} from './exposureExport.js';
+
+/**
+ * RollLog – 胶卷列表、新建胶卷与逐帧记录的浏览和编辑
+ * 当前使用中的胶卷由 App 持有，在测光界面一键记录新帧
+ */
+export default function RollLog({
+  activeRollId,
+  onActivate,
+  filmNames,
+  isoOptions,
+  boxSpeeds,
+  defaultFilmName,
+  defaultExposureIndex,
+  formatShutter,
+  formatAperture,
+  meteringLabels,
+  onBack,
+}) {
+  const { t, language } = useI18n();
+  const [rolls, setRolls] = useState([]);
+  const [openRollId, setOpenRollId] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    listRolls()
+      .then(setRolls)
+      .catch(err => {
+        console.error('Roll list error:', err);
+        setMessage('Unable to open the roll database in this browser.');
+      });
+  }, []);
+
+  // 编辑已有胶卷：先更新列表（输入不卡顿），再写入数据库
+  function persist(roll) {
+    setRolls(prev => prev.map(r => (r.id === roll.id ? roll : r)));
+    saveRoll(roll).catch(err => {
+      console.error('Roll save error:', err);
+      setMessage('Unable to save the roll.');
+    });
+  }
+
+  function startNew() {
+    setDraft({
+      name: '',
+      filmName: defaultFilmName,
+      boxSpeed: boxSpeeds[defaultFilmName],
+      exposureIndex: defaultExposureIndex,
+      frameCount: 36,
+      recordLocation: false,
+    });
+    setMessage('');
+  }
+
+  async function handleCreate() {
+    try {
+      const saved = await saveRoll(createRoll(draft));
+      setRolls(prev => [saved, ...prev]);
+      setDraft(null);
+      onActivate(saved);
+    } catch (err) {
+      console.error('Roll save error:', err);
+      setMessage('Unable to save the roll.');
+    }
+  }
+
+  async function handleDeleteRoll(roll) {
+    if (!window.confirm(t('Delete "{name}" and its {count} frames?', { name: roll.name, count: roll.frames.length }))) return;
+    try {
+      await deleteRoll(roll.id);
+      setRolls(prev => prev.filter(r => r.id !== roll.id));
+      if (roll.id === openRollId) setOpenRollId(null);
+      if (roll.id === activeRollId) onActivate(null);
+    } catch (err) {
+      console.error('Roll delete error:', err);
+      setMessage('Unable to delete the roll.');
+    }
+  }
+
+  function updateFrame(roll, index, changes) {
+    persist({ ...roll, frames: roll.frames.map((frame, i) => (i === index ? { ...frame, ...changes } : frame)) });
+  }
+
+  function removeFrame(roll, index) {
+    if (window.confirm(t('Delete frame {number}?', { number: roll.frames[index].number }))) {
+      persist({ ...roll, frames: roll.frames.filter((_, i) => i !== index) });
+    }
+  }
+
+  // 每帧一个 sidecar，文件名与扫描文件对应；打包为一个 ZIP 下载
+  function handleExportXMP(roll) {
+    downloadTextFile(`${roll.name}.xmp.zip`, buildXMPArchive(roll), 'application/zip');
+  }
+
+  function handleExportCSV(roll) {
+    downloadTextFile(`${roll.name}.csv`, buildExifToolCSV(roll, roll.scanPattern), 'text/csv');
+  }
+
+  if (draft) {
+    const eiOptions = isoOptions.includes(draft.exposureIndex) ? isoOptions : [...isoOptions, draft.exposureIndex].sort((a, b) => a - b);
+    const draftPushPull = formatPushPull(Math.log2(draft.exposureIndex / draft.boxSpeed), t);
+    return (
+      <div className="container film-editor">
+        <h1 className="title">{t('New Roll')}</h1>
+        {message && <p className="note">{t(message)}</p>}
+        <div className="film-form">
+          <label>
+            {t('Name:')}
+            <input type="text" value={draft.name} placeholder={t('Optional')} onChange={(e) => setDraft({ ...draft, name: e.target.value })} />
+          </label>
+          <label>
+            {t('Film:')}
+            <select
+              value={draft.filmName}
+              onChange={(e) => setDraft({ ...draft, filmName: e.target.value, boxSpeed: boxSpeeds[e.target.value], exposureIndex: boxSpeeds[e.target.value] })}
+              className="select"
+            >
+              {filmNames.map(name => (<option key={name} value={name}>{name}</option>))}
+            </select>
+          </label>
+          <label>
+            {t('EI:')}
+            <select value={draft.exposureIndex} onChange={(e) => setDraft({ ...draft, exposureIndex: parseInt(e.target.value) })} className="select">
+              {eiOptions.map(value => (<option key={value} value={value}>EI {value}</option>))}
+            </select>
+          </label>
+          <p className="note">
+            {t('Box speed ISO {boxSpeed}', { boxSpeed: draft.boxSpeed })}
+            {draftPushPull && ` · ${t('{pushPull} stops', { pushPull: draftPushPull })}`}
+          </p>
+          <label>
+            {t('Frames:')}
+            <select value={draft.frameCount} onChange={(e) => setDraft({ ...draft, frameCount: parseInt(e.target.value) })} className="select">
+              {frameCountOptions.map(count => (<option key={count} value={count}>{count}</option>))}
+            </select>
+          </label>
+          <label>
+            {t('Record GPS Location:')}
+            <input type="checkbox" checked={draft.recordLocation} onChange={(e) => setDraft({ ...draft, recordLocation: e.target.checked })} />
+          </label>
+          <div className="film-actions">
+            <button onClick={handleCreate} className="btn small">{t('Start Roll')}</button>
+            <button onClick={() => setDraft(null)} className="btn small">{t('Cancel')}</button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const openRoll = rolls.find(r => r.id === openRollId);
+  if (openRoll) {
+    return (
+      <div className="container film-editor">
+        <h1 className="title">{openRoll.name}</h1>
+        {message && <p className="note">{t(message)}</p>}
+        <div className="film-form">
+          <label>
+            {t('Name:')}
+            <input type="text" value={openRoll.name} onChange={(e) => persist({ ...openRoll, name: e.target.value })} />
+          </label>
+          <label>
+            {t('Scan File Names:')}
+            <input
+              type="text"
+              value={openRoll.scanPattern || ''}
+              placeholder={DEFAULT_SCAN_PATTERN}
+              onChange={(e) => persist({ ...openRoll, scanPattern: e.target.value })}
+            />
+          </label>
+          <p className="note">
+            {t('{nn} is the frame number, e.g. frame 1 → {fileName}', { fileName: scanFileName(openRoll.scanPattern, 1) })}
+          </p>
+          <div className="film-actions">
+            <button onClick={() => handleExportXMP(openRoll)} className="btn small" disabled={!openRoll.frames.length}>{t('Export XMP Sidecars')}</button>
+            <button onClick={() => handleExportCSV(openRoll)} className="btn small" disabled={!openRoll.frames.length}>{t('Export ExifTool CSV')}</button>
+          </div>
+        </div>
+        <p className="note">
+          {openRoll.filmName} · {describeExposureIndex(openRoll.exposureIndex, openRoll.boxSpeed, t)} · {t('{used}/{total} frames', {
+            used: openRoll.frames.length,
+            total: openRoll.frameCount,
+          })}
+        </p>
+        {openRoll.frames.length === 0 && <p className="note">{t('No frames recorded yet.')}</p>}
+        <ul className="roll-frames">
+          {openRoll.frames.map((frame, index) => (
+            <li key={frame.timestamp}>
+              {frame.thumbnail ? <img src={frame.thumbnail} alt={t('Frame {number}', { number: frame.number })} /> : <div className="roll-thumb-empty" />}
+              <div className="roll-frame-info">
+                <p>
+                  #{frame.number} · {formatShutter(frame.shutterSpeed)}{frame.bulb ? ' (B)' : ''} · {formatAperture(frame.aperture)} · EV {frame.ev.toFixed(1)}
+                </p>
+                <p className="note">
+                  {new Date(frame.timestamp).toLocaleString(language)} · {meteringLabels[frame.meteringMode] || frame.meteringMode}
+                  {frame.compensation ? ` · ${frame.compensation > 0 ? '+' : ''}${frame.compensation} EV` : ''}
+                  {frame.iso && frame.iso !== openRoll.exposureIndex ? ` · ${describeExposureIndex(frame.iso, openRoll.boxSpeed, t)}` : ''}
+                  {frame.aeLocked ? ' · AE-L' : ''}
+                  {frame.location ? ` · ${frame.location.latitude.toFixed(4)}, ${frame.location.longitude.toFixed(4)}` : ''}
+                </p>
+                <input
+                  type="text"
+                  value={frame.note}
+                  placeholder={t('Note')}
+                  onChange={(e) => updateFrame(openRoll, index, { note: e.target.value })}
+                />
+              </div>
+              <button onClick={() => removeFrame(openRoll, index)} className="btn small">{t('Delete')}</button>
+            </li>
+          ))}
+        </ul>
+        <button onClick={() => setOpenRollId(null)} className="btn">{t('All Rolls')}</button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="container film-editor">
+      <h1 className="title">{t('Rolls')}</h1>
+      {message && <p className="note">{t(message)}</p>}
+      <div className="film-actions">
+        <button onClick={startNew} className="btn small">{t('New Roll')}</button>
+        {activeRollId !== null && <button onClick={() => onActivate(null)} className="btn small">{t('Finish Current Roll')}</button>}
+      </div>
+      {rolls.length === 0 && <p className="note">{t('No rolls yet. Start one to log each frame you shoot.')}</p>}
+      <ul className="film-list">
+        {rolls.map(roll => (
+          <li key={roll.id}>
+            <span>
+              {roll.id === activeRollId ? '● ' : ''}{roll.name} · {roll.filmName} · {describeExposureIndex(roll.exposureIndex, roll.boxSpeed, t)} · {roll.frames.length}/{roll.frameCount}
+            </span>
+            <span>
+              <button onClick={() => setOpenRollId(roll.id)} className="btn small">{t('Open')}</button>
+              {roll.id !== activeRollId && <button onClick={() => onActivate(roll)} className="btn small">{t('Load')}</button>}
+              <button onClick={() => handleDeleteRoll(roll)} className="btn small">{t('Delete')}</button>
+            </span>
+          </li>
+        ))}
+      </ul>
+      <button onClick={onBack} className="btn">{t('Back')}</button>
+    </div>
+  );
+}
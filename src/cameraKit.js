@@ -0,0 +1,81 @@
+// cameraKit.js
+// 机身与镜头档案：限制推荐结果只使用器材实际可设定的快门与光圈
+
+// 内置示例（只读）
+// shutterType 为 'range' 时取 fastest–slowest 之间所选档位刻度的快门（含两端），'fixed' 时只用 shutterSpeeds 中列出的档位
+export const builtInBodies = [
+  { name: 'Pentax K1000', shutterType: 'range', fastest: 1 / 1000, slowest: 1, bulb: true },
+  { name: 'Nikon FM2', shutterType: 'range', fastest: 1 / 4000, slowest: 1, bulb: true },
+  { name: 'Olympus Trip 35', shutterType: 'fixed', shutterSpeeds: [1 / 200, 1 / 40], bulb: false },
+];
+
+// apertureScale：镜头光圈环的刻度（'full'、'half' 或 'third'）
+export const builtInLenses = [
+  { name: 'SMC Pentax-M 50mm f/1.7', maxAperture: 1.7, minAperture: 22, apertureScale: 'half' },
+  { name: 'Nikkor 50mm f/1.8 AI-S', maxAperture: 1.8, minAperture: 22, apertureScale: 'full' },
+  { name: 'Olympus D.Zuiko 40mm f/2.8', maxAperture: 2.8, minAperture: 22, apertureScale: 'full' },
+];
+
+const CUSTOM_BODIES_KEY = 'cameraBodies';
+const CUSTOM_LENSES_KEY = 'cameraLenses';
+
+/****************************************************
+ * 解析快门列表文字，如 "1/500, 1/125, 1/30, 1, B"
+ * 返回 { shutterSpeeds, bulb }，无法解析的项忽略
+ ****************************************************/
+export function parseShutterList(text) {
+  const shutterSpeeds = [];
+  let bulb = false;
+  text.split(/[,\s]+/).filter(Boolean).forEach(token => {
+    if (/^b(ulb)?$/i.test(token)) {
+      bulb = true;
+      return;
+    }
+    const [numerator, denominator] = token.replace(/s(ec)?$/i, '').split('/').map(Number);
+    const value = denominator ? numerator / denominator : numerator;
+    if (Number.isFinite(value) && value > 0) shutterSpeeds.push(value);
+  });
+  return { shutterSpeeds: [...new Set(shutterSpeeds)].sort((a, b) => a - b), bulb };
+}
+
+export function normalizeBody(raw) {
+  if (!raw || typeof raw.name !== 'string' || !raw.name.trim()) return null;
+  const body = { name: raw.name.trim(), bulb: Boolean(raw.bulb) };
+  if (raw.shutterType === 'fixed') {
+    const shutterSpeeds = (raw.shutterSpeeds || []).filter(s => Number.isFinite(s) && s > 0);
+    if (!shutterSpeeds.length) return null;
+    return { ...body, shutterType: 'fixed', shutterSpeeds: [...shutterSpeeds].sort((a, b) => a - b) };
+  }
+  const fastest = Number(raw.fastest), slowest = Number(raw.slowest);
+  if (!(fastest > 0) || !Number.isFinite(slowest) || !(slowest >= fastest)) return null;
+  return { ...body, shutterType: 'range', fastest, slowest };
+}
+
+export function normalizeLens(raw) {
+  if (!raw || typeof raw.name !== 'string' || !raw.name.trim()) return null;
+  const maxAperture = Number(raw.maxAperture), minAperture = Number(raw.minAperture);
+  if (!(maxAperture > 0) || !(minAperture >= maxAperture)) return null;
+  const apertureScale = ['full', 'half', 'third'].includes(raw.apertureScale) ? raw.apertureScale : 'full';
+  return { name: raw.name.trim(), maxAperture, minAperture, apertureScale };
+}
+
+function loadList(key, normalize) {
+  try {
+    const stored = JSON.parse(localStorage.getItem(key));
+    return Array.isArray(stored) ? stored.map(normalize).filter(Boolean) : [];
+  } catch (err) {
+    console.error('Camera kit parse error:', err);
+    return [];
+  }
+}
+
+export const loadCustomBodies = () => loadList(CUSTOM_BODIES_KEY, normalizeBody);
+export const loadCustomLenses = () => loadList(CUSTOM_LENSES_KEY, normalizeLens);
+
+export function saveCustomBodies(bodies) {
+  localStorage.setItem(CUSTOM_BODIES_KEY, JSON.stringify(bodies));
+}
+
+export function saveCustomLenses(lenses) {
+  localStorage.setItem(CUSTOM_LENSES_KEY, JSON.stringify(lenses));
+}
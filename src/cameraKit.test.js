@@ -0,0 +1,18 @@
+import { parseShutterList, normalizeBody, normalizeLens } from './cameraKit.js';
+
+test('parses fractional speeds and bulb from a shutter list', () => {
+  expect(parseShutterList('1/40, 1/200 B')).toEqual({ shutterSpeeds: [1 / 200, 1 / 40], bulb: true });
+  expect(parseShutterList('2s, 1, x')).toEqual({ shutterSpeeds: [1, 2], bulb: false });
+});
+
+test('rejects bodies and lenses with inverted ranges', () => {
+  expect(normalizeBody({ name: 'Body', shutterType: 'range', fastest: 1, slowest: 1 / 1000 })).toBeNull();
+  expect(normalizeLens({ name: 'Lens', maxAperture: 22, minAperture: 1.7 })).toBeNull();
+  expect(normalizeLens({ name: 'Lens', maxAperture: 1.7, minAperture: 22, apertureScale: 'quarter' }).apertureScale).toBe('full');
+});
+
+test('keeps narrow shutter ranges and rejects unbounded ones', () => {
+  expect(normalizeBody({ name: 'Body', shutterType: 'range', fastest: 1 / 100, slowest: 1 / 100 })).toMatchObject({ fastest: 1 / 100, slowest: 1 / 100 });
+  expect(normalizeBody({ name: 'Body', shutterType: 'range', fastest: 1 / 1000, slowest: Infinity })).toBeNull();
+  expect(normalizeBody({ name: 'Body', shutterType: 'fixed', shutterSpeeds: [] })).toBeNull();
+});
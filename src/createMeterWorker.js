@@ -0,0 +1,5 @@
+// createMeterWorker.js
+// 单独成模块并按需动态导入：import.meta.url 只能在打包后的 ES 模块中使用，Jest（CommonJS）无法解析
+export default function createMeterWorker() {
+  return new Worker(new URL('./meter.worker.js', import.meta.url));
+}
@@ -0,0 +1,251 @@
+// exposureExport.js
+// 将胶卷记录导出为 XMP sidecar 或 ExifTool CSV，用于给扫描底片写入曝光数据
+import { formatPushPull } from './filmPresets.js';
+
+export const DEFAULT_SCAN_PATTERN = 'frame_{nn}.tif';
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+/****************************************************
+ * 扫描文件名：{n} 为帧号，{nn} / {nnn} 为补零的帧号
+ ****************************************************/
+export function scanFileName(pattern, frameNumber) {
+  return (pattern || DEFAULT_SCAN_PATTERN).replace(/\{(n+)\}/g, (_, digits) => pad(frameNumber, digits.length));
+}
+
+// sidecar 与扫描文件同名，扩展名换为 .xmp
+export function sidecarFileName(pattern, frameNumber) {
+  return scanFileName(pattern, frameNumber).replace(/\.[^./]*$/, '') + '.xmp';
+}
+
+// 有理数形式：短于 1 秒的快门写成 1/N，其余保留一位小数
+function toRational(value) {
+  if (value > 0 && value < 1) return `1/${Math.round(1 / value)}`;
+  const tenths = Math.round(value * 10);
+  return tenths % 10 === 0 ? `${tenths / 10}/1` : `${tenths}/10`;
+}
+
+// 曝光补偿按 1/100 EV 写入，保留正负号
+function toSignedRational(value) {
+  const hundredths = Math.round(value * 100);
+  return `${hundredths > 0 ? '+' : ''}${hundredths}/100`;
+}
+
+// EXIF 日期格式 "YYYY:MM:DD HH:MM:SS"（本地时间）
+export function formatExifDateTime(timestamp) {
+  const d = new Date(timestamp);
+  return `${d.getFullYear()}:${pad(d.getMonth() + 1)}:${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+}
+
+// XMP 日期为 ISO 8601，带本地时区偏移
+function formatXMPDateTime(timestamp) {
+  const d = new Date(timestamp);
+  const offset = -d.getTimezoneOffset();
+  const sign = offset >= 0 ? '+' : '-';
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`
+    + `${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+}
+
+// XMP GPS 坐标格式 "DDD,MM.mmmmmK"
+function formatXMPCoordinate(value, positiveRef, negativeRef) {
+  const absolute = Math.abs(value);
+  const degrees = Math.floor(absolute);
+  const minutes = (absolute - degrees) * 60;
+  return `${degrees},${minutes.toFixed(5)}${value >= 0 ? positiveRef : negativeRef}`;
+}
+
+// "EI 1600 (push +2)"；没有标称 ISO（旧记录）或按标称 ISO 使用时只写 EI
+// t 为界面翻译函数，写入导出文件时省略（英文）
+export function describeExposureIndex(exposureIndex, boxSpeed, t) {
+  const pushPull = boxSpeed ? formatPushPull(Math.log2(exposureIndex / boxSpeed), t) : '';
+  return `EI ${exposureIndex}${pushPull ? ` (${pushPull})` : ''}`;
+}
+
+function describeFrame(roll, frame) {
+  return [`${roll.filmName} @ ${describeExposureIndex(frame.iso || roll.exposureIndex, roll.boxSpeed)}`, frame.note].filter(Boolean).join(' - ');
+}
+
+const escapeXML = (text) => String(text).replace(/[<>&"']/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' })[c]);
+
+/****************************************************
+ * 单帧 XMP sidecar
+ * ISO 取记录时的设定，旧记录没有时使用胶卷的 EI
+ ****************************************************/
+export function buildXMPSidecar(roll, frame) {
+  const iso = frame.iso || roll.exposureIndex;
+  const gps = frame.location
+    ? `
+   <exif:GPSLatitude>${formatXMPCoordinate(frame.location.latitude, 'N', 'S')}</exif:GPSLatitude>
+   <exif:GPSLongitude>${formatXMPCoordinate(frame.location.longitude, 'E', 'W')}</exif:GPSLongitude>`
+    : '';
+  return `<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/">
+ <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+  <rdf:Description rdf:about=""
+    xmlns:exif="http://ns.adobe.com/exif/1.0/"
+    xmlns:dc="http://purl.org/dc/elements/1.1/">
+   <exif:ExposureTime>${toRational(frame.shutterSpeed)}</exif:ExposureTime>
+   <exif:FNumber>${toRational(frame.aperture)}</exif:FNumber>
+   <exif:ISOSpeedRatings>
+    <rdf:Seq>
+     <rdf:li>${iso}</rdf:li>
+    </rdf:Seq>
+   </exif:ISOSpeedRatings>
+   <exif:ExposureBiasValue>${toSignedRational(frame.compensation)}</exif:ExposureBiasValue>
+   <exif:DateTimeOriginal>${formatXMPDateTime(frame.timestamp)}</exif:DateTimeOriginal>${gps}
+   <dc:description>
+    <rdf:Alt>
+     <rdf:li xml:lang="x-default">${escapeXML(describeFrame(roll, frame))}</rdf:li>
+    </rdf:Alt>
+   </dc:description>
+  </rdf:Description>
+ </rdf:RDF>
+</x:xmpmeta>
+<?xpacket end="w"?>
+`;
+}
+
+const csvColumns = [
+  'SourceFile',
+  'ExposureTime',
+  'FNumber',
+  'ISO',
+  'ExposureCompensation',
+  'DateTimeOriginal',
+  'ImageDescription',
+  'GPSLatitude',
+  'GPSLatitudeRef',
+  'GPSLongitude',
+  'GPSLongitudeRef',
+];
+
+const escapeCSV = (value) => (/[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+
+/****************************************************
+ * ExifTool CSV：exiftool -csv=roll.csv <扫描目录>
+ * SourceFile 与扫描文件名对应；没有位置的帧 GPS 列留空
+ ****************************************************/
+export function buildExifToolCSV(roll, pattern) {
+  const rows = roll.frames.map(frame => {
+    const { location } = frame;
+    return [
+      scanFileName(pattern, frame.number),
+      toRational(frame.shutterSpeed),
+      String(Math.round(frame.aperture * 10) / 10),
+      String(frame.iso || roll.exposureIndex),
+      String(Math.round(frame.compensation * 100) / 100),
+      formatExifDateTime(frame.timestamp),
+      describeFrame(roll, frame),
+      location ? String(Math.abs(location.latitude)) : '',
+      location ? (location.latitude >= 0 ? 'N' : 'S') : '',
+      location ? String(Math.abs(location.longitude)) : '',
+      location ? (location.longitude >= 0 ? 'E' : 'W') : '',
+    ].map(escapeCSV).join(',');
+  });
+  return [csvColumns.join(','), ...rows].join('\n') + '\n';
+}
+
+/****************************************************
+ * 不压缩（stored）的 ZIP 归档：files 为 [{ name, text }]，返回 Uint8Array
+ * 浏览器通常只允许一次用户操作触发一个下载，多个 sidecar 须打包成一个文件
+ ****************************************************/
+const crcTable = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+export function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// DOS 日期时间（本地时间，秒数精度为 2 秒）
+function toDosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+export function buildZipArchive(files, modified = new Date()) {
+  const encoder = new TextEncoder();
+  const { time, date } = toDosDateTime(modified);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+  files.forEach(({ name, text }) => {
+    const nameBytes = encoder.encode(name);
+    const data = encoder.encode(text);
+    const crc = crc32(data);
+    // 通用标志位 0x0800：文件名为 UTF-8
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true);
+    local.setUint16(8, 0, true);
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    local.setUint16(28, 0, true);
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, date, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint32(42, offset, true);
+    localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+    centralParts.push(new Uint8Array(central.buffer), nameBytes);
+    offset += 30 + nameBytes.length + data.length;
+  });
+  const centralSize = centralParts.reduce((total, part) => total + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const archive = new Uint8Array(offset + centralSize + 22);
+  let position = 0;
+  parts.forEach(part => {
+    archive.set(part, position);
+    position += part.length;
+  });
+  return archive;
+}
+
+// 整卷的 XMP sidecar 打包为一个 ZIP，解压到扫描目录即可
+export function buildXMPArchive(roll) {
+  return buildZipArchive(roll.frames.map(frame => ({
+    name: sidecarFileName(roll.scanPattern, frame.number),
+    text: buildXMPSidecar(roll, frame),
+  })));
+}
+
+// 触发浏览器下载文件，内容为文本或二进制（Uint8Array）
+// 链接需加入文档，且下载开始后才能释放 URL，否则 Firefox / Safari 可能取消下载
+const REVOKE_DELAY_MS = 1000;
+
+export function downloadTextFile(fileName, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.style.display = 'none';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY_MS);
+}
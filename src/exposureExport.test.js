@@ -0,0 +1,103 @@
+import { scanFileName, sidecarFileName, buildExifToolCSV, buildXMPSidecar, describeExposureIndex, crc32, buildZipArchive, buildXMPArchive, downloadTextFile } from './exposureExport.js';
+import { TextEncoder, TextDecoder } from 'util';
+
+// jsdom 测试环境没有 TextEncoder / TextDecoder，借用 Node 的实现
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
+
+const roll = {
+  name: 'Roll 1',
+  filmName: 'Ilford HP5',
+  exposureIndex: 400,
+  scanPattern: 'scan_{nnn}.tif',
+  frames: [
+    { number: 3, timestamp: new Date(2024, 4, 1, 9, 5, 7).getTime(), shutterSpeed: 1 / 125, aperture: 5.6, compensation: -0.7, iso: 400, note: 'Harbour, "dawn"', location: { latitude: -33.5, longitude: 151.25 } },
+  ],
+};
+
+test('maps frame numbers to scan and sidecar file names', () => {
+  expect(scanFileName('scan_{nnn}.tif', 7)).toBe('scan_007.tif');
+  expect(scanFileName('', 12)).toBe('frame_12.tif');
+  expect(sidecarFileName('IMG{n}.scan.tif', 4)).toBe('IMG4.scan.xmp');
+});
+
+test('writes ExifTool CSV rows with quoted descriptions and GPS references', () => {
+  const [header, row] = buildExifToolCSV(roll, roll.scanPattern).trim().split('\n');
+  expect(header.split(',')[0]).toBe('SourceFile');
+  expect(row).toBe('scan_003.tif,1/125,5.6,400,-0.7,2024:05:01 09:05:07,"Ilford HP5 @ EI 400 - Harbour, ""dawn""",33.5,S,151.25,E');
+});
+
+test('writes XMP exposure fields', () => {
+  const xmp = buildXMPSidecar(roll, roll.frames[0]);
+  expect(xmp).toContain('<exif:ExposureTime>1/125</exif:ExposureTime>');
+  expect(xmp).toContain('<exif:FNumber>56/10</exif:FNumber>');
+  expect(xmp).toContain('<exif:ExposureBiasValue>-70/100</exif:ExposureBiasValue>');
+  expect(xmp).toContain('<exif:GPSLatitude>33,30.00000S</exif:GPSLatitude>');
+  expect(xmp).toContain('Harbour, &quot;dawn&quot;');
+});
+
+test('notes push and pull processing against the box speed', () => {
+  expect(describeExposureIndex(1600, 400)).toBe('EI 1600 (push +2)');
+  expect(describeExposureIndex(200, 400)).toBe('EI 200 (pull -1)');
+  expect(describeExposureIndex(400, 400)).toBe('EI 400');
+  expect(describeExposureIndex(400, null)).toBe('EI 400');
+});
+
+// 读出 stored ZIP 中的文件名与内容（只用于校验）
+function readZipEntries(archive) {
+  const view = new DataView(archive.buffer);
+  const decoder = new TextDecoder();
+  const endOffset = archive.length - 22;
+  expect(view.getUint32(endOffset, true)).toBe(0x06054b50);
+  const count = view.getUint16(endOffset + 10, true);
+  let position = view.getUint32(endOffset + 16, true);
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    expect(view.getUint32(position, true)).toBe(0x02014b50);
+    const size = view.getUint32(position + 24, true);
+    const nameLength = view.getUint16(position + 28, true);
+    const localOffset = view.getUint32(position + 42, true);
+    const name = decoder.decode(archive.subarray(position + 46, position + 46 + nameLength));
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true);
+    const data = archive.subarray(dataStart, dataStart + size);
+    expect(view.getUint32(localOffset + 14, true)).toBe(crc32(data));
+    entries.push({ name, text: decoder.decode(data) });
+    position += 46 + nameLength;
+  }
+  return entries;
+}
+
+test('computes CRC-32 checksums', () => {
+  expect(crc32(new TextEncoder().encode('hello'))).toBe(0x3610a686);
+  expect(crc32(new Uint8Array(0))).toBe(0);
+});
+
+test('packs files into a single stored ZIP archive', () => {
+  const files = [{ name: 'a.xmp', text: 'first' }, { name: '底片_02.xmp', text: 'second ✓' }];
+  expect(readZipEntries(buildZipArchive(files, new Date(2024, 4, 1)))).toEqual(files);
+});
+
+test('bundles one XMP sidecar per frame', () => {
+  const twoFrames = { ...roll, frames: [roll.frames[0], { ...roll.frames[0], number: 4, location: null }] };
+  const entries = readZipEntries(buildXMPArchive(twoFrames));
+  expect(entries.map(e => e.name)).toEqual(['scan_003.xmp', 'scan_004.xmp']);
+  expect(entries[0].text).toBe(buildXMPSidecar(twoFrames, twoFrames.frames[0]));
+});
+
+test('clicks an attached link and revokes the object URL only after a delay', () => {
+  jest.useFakeTimers();
+  URL.createObjectURL = jest.fn(() => 'blob:download');
+  URL.revokeObjectURL = jest.fn();
+  const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+    expect(document.body.contains(this)).toBe(true);
+    expect(this.download).toBe('roll.csv');
+  });
+  downloadTextFile('roll.csv', 'a,b', 'text/csv');
+  expect(click).toHaveBeenCalledTimes(1);
+  expect(document.querySelector('a')).toBeNull();
+  expect(URL.revokeObjectURL).not.toHaveBeenCalled();
+  jest.runAllTimers();
+  expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:download');
+  click.mockRestore();
+  jest.useRealTimers();
+});
@@ -0,0 +1,375 @@
+// exposureMath.js
+// 曝光计算：快门 / 光圈网格、EV、倒易律、皮腔、闪光、针孔、区域系统等纯函数
+
+// 快门速度和光圈数据（按档位刻度，取相机/镜头上标注的标准值）
+const standardShutterSpeeds = {
+  full: [
+    1 / 4000, 1 / 2000, 1 / 1000, 1 / 500, 1 / 250, 1 / 125, 1 / 60, 1 / 30, 1 / 15, 1 / 8, 1 / 4, 1 / 2,
+    1, 2, 4, 8, 15, 30,
+  ],
+  half: [
+    1 / 4000, 1 / 3000, 1 / 2000, 1 / 1500, 1 / 1000, 1 / 750, 1 / 500, 1 / 350, 1 / 250, 1 / 180, 1 / 125, 1 / 90,
+    1 / 60, 1 / 45, 1 / 30, 1 / 20, 1 / 15, 1 / 10, 1 / 8, 1 / 6, 1 / 4, 0.3, 0.5, 0.7,
+    1, 1.5, 2, 3, 4, 6, 8, 10, 15, 20, 30,
+  ],
+  third: [
+    1 / 4000, 1 / 3200, 1 / 2500, 1 / 2000, 1 / 1600, 1 / 1250, 1 / 1000, 1 / 800, 1 / 640, 1 / 500, 1 / 400, 1 / 320,
+    1 / 250, 1 / 200, 1 / 160, 1 / 125, 1 / 100, 1 / 80, 1 / 60, 1 / 50, 1 / 40, 1 / 30, 1 / 25, 1 / 20,
+    1 / 15, 1 / 13, 1 / 10, 1 / 8, 1 / 6, 1 / 5, 1 / 4, 0.3, 0.4, 0.5, 0.6, 0.8,
+    1, 1.3, 1.6, 2, 2.5, 3.2, 4, 5, 6, 8, 10, 13, 15, 20, 25, 30,
+  ],
+};
+const standardApertures = {
+  full: [1, 1.4, 2, 2.8, 4, 5.6, 8, 11, 16, 22, 32, 45, 64],
+  half: [1, 1.2, 1.4, 1.7, 2, 2.4, 2.8, 3.3, 4, 4.8, 5.6, 6.7, 8, 9.5, 11, 13, 16, 19, 22, 27, 32, 38, 45, 54, 64],
+  third: [
+    1, 1.1, 1.2, 1.4, 1.6, 1.8, 2, 2.2, 2.5, 2.8, 3.2, 3.5, 4, 4.5, 5, 5.6, 6.3, 7.1,
+    8, 9, 10, 11, 13, 14, 16, 18, 20, 22, 25, 29, 32, 36, 40, 45, 51, 57, 64,
+  ],
+};
+
+// EV 计算公式：log₂((光圈²) / 快门速度)
+function buildShutterApertureEV(shutters, apertures) {
+  return shutters.flatMap((s) =>
+    apertures.map((a) => ({
+      shutter: s,
+      aperture: a,
+      ev: Math.log2((a * a) / s),
+    }))
+  );
+}
+
+// 预生成 EV 表（基础数据），每种档位刻度一张
+const shutterApertureEV = Object.fromEntries(
+  Object.keys(standardShutterSpeeds).map((scale) => [
+    scale,
+    buildShutterApertureEV(standardShutterSpeeds[scale], standardApertures[scale]),
+  ])
+);
+
+/****************************************************
+ * 曝光网格：推荐计算可使用的快门、光圈及其 EV 表
+ * 未选择机身 / 镜头时使用所选档位刻度的完整范围（可用 B 门）；
+ * 选择后只保留器材实际可设定的档位
+ ****************************************************/
+// 范围型机身取所选档位刻度上两端之间的快门，并加入机身标称的最快 / 最慢档
+// （如 1/8000 超出刻度、或范围落在两档之间时也至少有这两档）
+function getBodyShutterSpeeds(body, scale) {
+  if (body.shutterType === 'fixed') return body.shutterSpeeds;
+  const between = standardShutterSpeeds[scale].filter(s => s > body.fastest * 1.01 && s < body.slowest * 0.99);
+  return body.slowest > body.fastest * 1.01 ? [body.fastest, ...between, body.slowest] : [body.fastest];
+}
+
+// 镜头最大光圈不在刻度上时（如 f/1.7）单独加入
+function getLensApertures(lens) {
+  const apertures = standardApertures[lens.apertureScale].filter(a => a > lens.maxAperture * 1.01 && a <= lens.minAperture * 1.01);
+  return [lens.maxAperture, ...apertures];
+}
+
+export function getExposureGrid(scale, body = null, lens = null) {
+  const shutters = body ? getBodyShutterSpeeds(body, scale) : standardShutterSpeeds[scale];
+  const apertures = lens ? getLensApertures(lens) : standardApertures[scale];
+  return {
+    shutters,
+    apertures,
+    bulb: body ? body.bulb : true,
+    table: body || lens ? buildShutterApertureEV(shutters, apertures) : shutterApertureEV[scale],
+  };
+}
+
+const defaultExposureGrid = getExposureGrid('full');
+
+/****************************************************
+ * 针孔相机
+ * 光圈 N = 焦距 / 针孔直径，也可直接输入任意 f 值；
+ * 最佳针孔直径按 Rayleigh 公式 d = 1.9·√(f·λ)，λ 取 550 nm
+ * 针孔网格为连续网格：只有一个光圈、没有快门档位，曝光时间不吸附刻度
+ ****************************************************/
+export const DEFAULT_PINHOLE_SETTINGS = { enabled: false, input: 'diameter', focalLength: 50, diameter: 0.3, fNumber: 180 };
+const PINHOLE_WAVELENGTH_MM = 0.00055;
+
+export function calculatePinhole({ enabled, input, focalLength, diameter, fNumber }) {
+  if (!enabled) return null;
+  const optimalDiameter = focalLength > 0 ? 1.9 * Math.sqrt(focalLength * PINHOLE_WAVELENGTH_MM) : null;
+  const n = input === 'diameter' ? (diameter > 0 ? focalLength / diameter : NaN) : fNumber;
+  if (!Number.isFinite(n) || n <= 0) return null;
+  return { fNumber: n, optimalDiameter };
+}
+
+export function getPinholeGrid(fNumber) {
+  return { shutters: [], apertures: [fNumber], bulb: true, continuous: true, table: [] };
+}
+
+/****************************************************
+ * 将数值吸附到刻度表中最接近的一档（按对数距离），刻度表为空时原样返回
+ ****************************************************/
+export function snapToScale(value, scaleValues) {
+  if (!scaleValues.length) return value;
+  return scaleValues.reduce((closest, v) =>
+    Math.abs(Math.log2(v / value)) < Math.abs(Math.log2(closest / value)) ? v : closest
+  );
+}
+
+// 定义18%灰卡对应的参考值
+export const referenceGray = 128;
+export const referenceEV = 7;
+
+/****************************************************
+ * 计算 EV 值
+ * EV = baseEV + log₂((avgBrightness × calibrationFactor)/referenceGray) + log₂(ISO/100)
+ * baseEV 为中灰亮度对应的 EV100：相对测光时为 referenceEV，绝对测光时由摄像头曝光参数得出
+ * 镜头滤镜与近摄皮腔延伸损失的光量（lightLossStops 档）从结果中扣除
+ ****************************************************/
+function calculateEffectiveEV(avgBrightness, iso, compensation, calibrationFactor = 1.0, lightLossStops = 0, baseEV = referenceEV) {
+  if (avgBrightness <= 0) return -Infinity;
+  const measuredEV = calculateEV100(avgBrightness, calibrationFactor, baseEV) + Math.log2(iso / 100);
+  return measuredEV + compensation - lightLossStops;
+}
+
+// ISO 100 下的校准 EV（不含 ISO 与曝光补偿），照度换算以此为准
+export function calculateEV100(avgBrightness, calibrationFactor = 1.0, baseEV = referenceEV) {
+  if (avgBrightness <= 0) return -Infinity;
+  return baseEV + Math.log2((avgBrightness * calibrationFactor) / referenceGray);
+}
+
+/****************************************************
+ * 绝对测光：由摄像头报告的曝光参数（getSettings）换算 baseEV
+ * exposureTime 按 Image Capture 规范以 100 µs 为单位
+ * 同时有 exposureTime 与 iso 时为绝对模式：baseEV = log₂(N²/t) − log₂(ISO/100)，N 为手机镜头光圈
+ * 只有 exposureCompensation 时仍为相对模式，但扣除自动曝光施加的补偿
+ ****************************************************/
+export const DEFAULT_LENS_F_NUMBER = 1.8;
+
+export function getCameraExposureBase(settings, lensFNumber = DEFAULT_LENS_F_NUMBER) {
+  if (settings && settings.exposureTime > 0 && settings.iso > 0) {
+    const exposureTime = settings.exposureTime / 10000;
+    return {
+      mode: 'absolute',
+      baseEV: Math.log2((lensFNumber * lensFNumber) / exposureTime) - Math.log2(settings.iso / 100),
+      exposureTime,
+      iso: settings.iso,
+      lensFNumber,
+    };
+  }
+  const cameraCompensation = settings && Number.isFinite(settings.exposureCompensation) ? settings.exposureCompensation : 0;
+  return { mode: 'relative', baseEV: referenceEV - cameraCompensation, cameraCompensation };
+}
+
+// 入射测光校准常数 C = 250（ISO 12 标准），1 fc = 10.764 lux
+const INCIDENT_CALIBRATION_CONSTANT = 250;
+const LUX_PER_FOOT_CANDLE = 10.764;
+
+/****************************************************
+ * 照度换算
+ * E(lux) = C / 100 × 2^EV100，C = 250
+ ****************************************************/
+export function calculateIlluminance(ev100) {
+  if (!Number.isFinite(ev100)) return null;
+  const lux = (INCIDENT_CALIBRATION_CONSTANT / 100) * Math.pow(2, ev100);
+  return { lux, footCandles: lux / LUX_PER_FOOT_CANDLE };
+}
+
+/****************************************************
+ * 快门优先曝光计算
+ ****************************************************/
+export function calculateExposureShutterPriority(avgBrightness, iso, compensation, chosenShutter, calibrationFactor = 1.0, grid = defaultExposureGrid, lightLossStops = 0, baseEV = referenceEV) {
+  const effectiveEV = calculateEffectiveEV(avgBrightness, iso, compensation, calibrationFactor, lightLossStops, baseEV);
+  return calculateExposureForEVShutterPriority(effectiveEV, chosenShutter, grid);
+}
+
+// 已知 EV 时的快门优先计算（区域系统等不直接来自画面亮度的 EV 也复用此函数）
+export function calculateExposureForEVShutterPriority(effectiveEV, chosenShutter, grid = defaultExposureGrid) {
+  if (grid.continuous) {
+    return { shutterSpeed: chosenShutter, aperture: Math.sqrt(Math.pow(2, effectiveEV) * chosenShutter), effectiveEV, evDifference: 0 };
+  }
+  const candidates = grid.table.filter(c => c.shutter === chosenShutter);
+  let closestCandidate = null, minDiff = Infinity;
+  candidates.forEach(candidate => {
+    const diff = Math.abs(candidate.ev - effectiveEV);
+    if (diff < minDiff) {
+      minDiff = diff;
+      closestCandidate = candidate;
+    }
+  });
+  const evDifference = closestCandidate ? closestCandidate.ev - effectiveEV : 0;
+  return { shutterSpeed: chosenShutter, aperture: closestCandidate ? closestCandidate.aperture : 0, effectiveEV, evDifference };
+}
+
+/****************************************************
+ * 光圈优先曝光计算
+ * 所需时间超过最长标注快门半档以上、且机身有 B 门时改为 B 门，直接给出计算时间
+ ****************************************************/
+export function calculateExposureAperturePriority(avgBrightness, iso, compensation, chosenAperture, calibrationFactor = 1.0, grid = defaultExposureGrid, lightLossStops = 0, baseEV = referenceEV) {
+  const effectiveEV = calculateEffectiveEV(avgBrightness, iso, compensation, calibrationFactor, lightLossStops, baseEV);
+  return calculateExposureForEVAperturePriority(effectiveEV, chosenAperture, grid);
+}
+
+// 已知 EV 时的光圈优先计算
+export function calculateExposureForEVAperturePriority(effectiveEV, chosenAperture, grid = defaultExposureGrid) {
+  const shutters = grid.shutters;
+  const requiredShutter = (chosenAperture * chosenAperture) / Math.pow(2, effectiveEV);
+  // 连续网格（针孔）直接给出所需时间
+  if (grid.continuous) {
+    return { shutterSpeed: requiredShutter, aperture: chosenAperture, effectiveEV, evDifference: 0, bulb: requiredShutter >= 1 };
+  }
+  if (grid.bulb && requiredShutter > shutters[shutters.length - 1] * Math.SQRT2) {
+    return { shutterSpeed: requiredShutter, aperture: chosenAperture, effectiveEV, evDifference: 0, bulb: true };
+  }
+  const candidates = grid.table.filter(c => c.aperture === chosenAperture);
+  let closestCandidate = null, minDiff = Infinity;
+  candidates.forEach(candidate => {
+    const diff = Math.abs(candidate.ev - effectiveEV);
+    if (diff < minDiff) {
+      minDiff = diff;
+      closestCandidate = candidate;
+    }
+  });
+  const evDifference = closestCandidate ? closestCandidate.ev - effectiveEV : 0;
+  return { shutterSpeed: closestCandidate ? closestCandidate.shutter : 0, aperture: chosenAperture, effectiveEV, evDifference };
+}
+
+/****************************************************
+ * 近摄 / 皮腔延伸曝光补偿
+ * 放大倍率 m = 延伸量 / 焦距（从无限远对焦位置起算）
+ * 皮腔系数 = (1+m)²，即需增加 2·log₂(1+m) 档曝光；有效光圈 = 标称光圈 × (1+m)
+ ****************************************************/
+export const DEFAULT_MACRO_SETTINGS = { enabled: false, focalLength: 50, input: 'extension', extension: 0, magnification: 0 };
+
+export function calculateBellowsFactor({ enabled, focalLength, input, extension, magnification }) {
+  if (!enabled) return { magnification: 0, factor: 1, stops: 0 };
+  const m = input === 'extension' ? (focalLength > 0 ? extension / focalLength : 0) : magnification;
+  const safeMagnification = Number.isFinite(m) && m > 0 ? m : 0;
+  const factor = Math.pow(1 + safeMagnification, 2);
+  return { magnification: safeMagnification, factor, stops: Math.log2(factor) };
+}
+
+/****************************************************
+ * 倒易律失效校正
+ * schwarzschild：Tc = Tm^p（Ilford 数据表公式，仅在 Tm > 1 秒时适用）
+ * table：厂商公布的「测光时间 → 实际时间」对照表，点之间按对数插值，
+ *        超出最后一点时沿最后一段外推（extrapolated = true）
+ * 返回 null 表示该时间无需校正
+ ****************************************************/
+export function calculateReciprocityCorrection(meteredTime, reciprocity) {
+  if (!reciprocity || !(meteredTime > 0)) return null;
+  if (reciprocity.model === 'schwarzschild') {
+    if (meteredTime <= 1) return null;
+    const correctedTime = Math.pow(meteredTime, reciprocity.exponent);
+    return { correctedTime, stops: Math.log2(correctedTime / meteredTime), development: null, extrapolated: false };
+  }
+  if (reciprocity.model === 'table') {
+    const table = reciprocity.table;
+    if (meteredTime <= table[0].metered) return null;
+    let lower = table[0], upper = table[1];
+    for (let i = 1; i < table.length; i++) {
+      lower = table[i - 1];
+      upper = table[i];
+      if (meteredTime <= upper.metered) break;
+    }
+    const slope = Math.log(upper.corrected / lower.corrected) / Math.log(upper.metered / lower.metered);
+    const correctedTime = lower.corrected * Math.pow(meteredTime / lower.metered, slope);
+    // 显影调整取不超过测光时间的最近一个数据点
+    const developmentPoint = [...table].reverse().find(point => point.metered <= meteredTime && point.development !== undefined);
+    return {
+      correctedTime,
+      stops: Math.log2(correctedTime / meteredTime),
+      development: developmentPoint ? developmentPoint.development : null,
+      extrapolated: meteredTime > table[table.length - 1].metered,
+    };
+  }
+  return null;
+}
+
+/****************************************************
+ * 等效曝光组合
+ * 对每档光圈在 shutterApertureEV 中找出最接近目标 EV 的快门，
+ * 偏差超过半档的视为超出快门范围（inRange = false），
+ * 慢于最长标注快门的组合在机身有 B 门时标记为 B 门
+ ****************************************************/
+export function getEquivalentExposures(targetEV, grid = defaultExposureGrid) {
+  // 非连续网格没有任何快门档位时无法给出组合
+  if (!Number.isFinite(targetEV) || (!grid.continuous && !grid.shutters.length)) return [];
+  const shutters = grid.shutters;
+  return grid.apertures.map((aperture) => {
+    const requiredShutter = (aperture * aperture) / Math.pow(2, targetEV);
+    if (grid.continuous) {
+      return { aperture, shutter: requiredShutter, evDifference: 0, inRange: true, bulb: requiredShutter >= 1 };
+    }
+    if (grid.bulb && requiredShutter > shutters[shutters.length - 1] * Math.SQRT2) {
+      return { aperture, shutter: requiredShutter, evDifference: 0, inRange: true, bulb: true };
+    }
+    let closestCandidate = null, minDiff = Infinity;
+    grid.table
+      .filter(c => c.aperture === aperture)
+      .forEach(candidate => {
+        const diff = Math.abs(candidate.ev - targetEV);
+        if (diff < minDiff) {
+          minDiff = diff;
+          closestCandidate = candidate;
+        }
+      });
+    return {
+      aperture,
+      shutter: closestCandidate.shutter,
+      evDifference: closestCandidate.ev - targetEV,
+      inRange: minDiff <= 0.5,
+      bulb: false,
+    };
+  });
+}
+
+// 区域系统：Zone V 为 18% 中灰
+export const MIDDLE_GRAY_ZONE = 5;
+
+/****************************************************
+ * 区域系统分析
+ * 锚点读数放在 anchorZone 上，其余读数按与锚点的 EV 差落在相应区域；
+ * 曝光 EV = 锚点 EV + (5 - anchorZone)，放在低区域即减少曝光。
+ * 显影建议按最亮读数所在区域：落在 Zone VII 为 N，每高一区 N-1，每低一区 N+1
+ ****************************************************/
+export function analyzeZoneReadings(readings, anchorId, anchorZone) {
+  const anchor = readings.find(r => r.id === anchorId);
+  if (!anchor) return null;
+  const placed = readings.map(r => ({ ...r, zone: anchorZone + (r.ev - anchor.ev) }));
+  const evs = readings.map(r => r.ev);
+  const highestZone = Math.max(...placed.map(r => r.zone));
+  const developmentSteps = Math.max(-2, Math.min(2, Math.round(7 - highestZone)));
+  return {
+    placed,
+    exposureEV: anchor.ev + (MIDDLE_GRAY_ZONE - anchorZone),
+    brightnessRange: Math.max(...evs) - Math.min(...evs),
+    development: developmentSteps === 0 ? 'N' : developmentSteps > 0 ? `N+${developmentSteps}` : `N${developmentSteps}`,
+  };
+}
+
+/****************************************************
+ * 闪光灯曝光计算（闪光指数法）
+ * 光圈 = GN × √功率 × √(ISO/100) ÷ 距离，再扣除滤镜/皮腔的光损失
+ * 快门：在闪光同步速度及更慢的标准快门中，选使环境光比闪光低约 1 档（补光）的一档
+ * ambientStops：环境光相对正确曝光的档数（负值 = 环境光欠曝）
+ ****************************************************/
+export const flashPowerRatios = [1, 1 / 2, 1 / 4, 1 / 8, 1 / 16, 1 / 32, 1 / 64, 1 / 128];
+export const DEFAULT_FLASH_SETTINGS = { guideNumber: 36, power: 1, distance: 3, syncSpeed: 1 / 60 };
+const FILL_FLASH_AMBIENT_STOPS = -1;
+
+export function calculateFlashExposure({ guideNumber, power, distance, syncSpeed }, iso, ambientEV, grid = defaultExposureGrid, lightLossStops = 0) {
+  if (!(guideNumber > 0) || !(distance > 0)) return null;
+  const exactAperture = (guideNumber * Math.sqrt(power) * Math.sqrt(iso / 100)) / distance / Math.pow(2, lightLossStops / 2);
+  const aperture = snapToScale(exactAperture, grid.apertures);
+  const syncSafeShutters = grid.shutters.filter(s => s >= syncSpeed * 0.99);
+  if (!Number.isFinite(ambientEV) || !syncSafeShutters.length) {
+    return { exactAperture, aperture, shutter: syncSpeed, ambientStops: null, flashToAmbientRatio: null, ambientOverpowers: false };
+  }
+  const fillShutter = (aperture * aperture) / Math.pow(2, ambientEV - FILL_FLASH_AMBIENT_STOPS);
+  // 快于同步速度时闪光只能照亮部分画面，补光所需快门再快也只取同步速度
+  const shutter = snapToScale(Math.max(fillShutter, syncSpeed), syncSafeShutters);
+  const ambientStops = ambientEV - Math.log2((aperture * aperture) / shutter);
+  return {
+    exactAperture,
+    aperture,
+    shutter,
+    ambientStops,
+    flashToAmbientRatio: Math.pow(2, -ambientStops),
+    ambientOverpowers: ambientStops > 0,
+  };
+}
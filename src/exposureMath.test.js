@@ -0,0 +1,151 @@
+import {
+  getExposureGrid,
+  calculatePinhole,
+  getPinholeGrid,
+  getCameraExposureBase,
+  calculateIlluminance,
+  calculateExposureForEVAperturePriority,
+  calculateBellowsFactor,
+  calculateReciprocityCorrection,
+  getEquivalentExposures,
+  snapToScale,
+  analyzeZoneReadings,
+  calculateFlashExposure,
+} from './exposureMath.js';
+import { builtInFilmPresets } from './filmPresets.js';
+
+const triX = builtInFilmPresets['Kodak Tri-X 400'].reciprocity;
+const hp5 = builtInFilmPresets['Ilford HP5'].reciprocity;
+
+test('corrects Tri-X reciprocity from the Kodak table', () => {
+  expect(calculateReciprocityCorrection(0.1, triX)).toBeNull();
+  const oneSecond = calculateReciprocityCorrection(1, triX);
+  expect(oneSecond.correctedTime).toBeCloseTo(2);
+  expect(oneSecond.stops).toBeCloseTo(1);
+  expect(oneSecond.development).toBe(-10);
+  expect(oneSecond.extrapolated).toBe(false);
+  const tenSeconds = calculateReciprocityCorrection(10, triX);
+  expect(tenSeconds.correctedTime).toBeCloseTo(50);
+  expect(tenSeconds.stops).toBeCloseTo(Math.log2(5));
+  expect(tenSeconds.development).toBe(-20);
+});
+
+test('extrapolates the last table segment beyond the final point', () => {
+  const result = calculateReciprocityCorrection(200, triX);
+  // 沿 10 s → 100 s 一段外推：1200 × 2^(log₁₀ 24)
+  expect(result.correctedTime).toBeCloseTo(3123.68, 1);
+  expect(result.development).toBe(-30);
+  expect(result.extrapolated).toBe(true);
+});
+
+test('applies the Schwarzschild exponent only above one second', () => {
+  expect(calculateReciprocityCorrection(1, hp5)).toBeNull();
+  const result = calculateReciprocityCorrection(10, hp5);
+  expect(result.correctedTime).toBeCloseTo(20.42, 2);
+  expect(result.development).toBeNull();
+  // 同一测光时间下 Tri-X 的表格校正远大于 HP5 的指数模型
+  expect(calculateReciprocityCorrection(10, triX).correctedTime).toBeGreaterThan(result.correctedTime);
+  expect(calculateReciprocityCorrection(10, null)).toBeNull();
+});
+
+test('uses a (1+m)² bellows factor', () => {
+  const macro = { enabled: true, focalLength: 50, input: 'extension', extension: 50, magnification: 0 };
+  expect(calculateBellowsFactor(macro)).toEqual({ magnification: 1, factor: 4, stops: 2 });
+  expect(calculateBellowsFactor({ ...macro, input: 'magnification', magnification: 0.5 }).factor).toBeCloseTo(2.25);
+  expect(calculateBellowsFactor({ ...macro, enabled: false })).toEqual({ magnification: 0, factor: 1, stops: 0 });
+});
+
+test('snaps equivalent exposures to the ends of the shutter range', () => {
+  const body = { shutterType: 'range', fastest: 1 / 1000, slowest: 1, bulb: false };
+  const grid = getExposureGrid('full', body);
+  const [wideOpen] = getEquivalentExposures(0, grid);
+  expect(wideOpen).toMatchObject({ aperture: 1, shutter: 1, inRange: true, bulb: false });
+  const tooBright = getEquivalentExposures(20, grid)[0];
+  expect(tooBright.shutter).toBe(1 / 1000);
+  expect(tooBright.inRange).toBe(false);
+  const tooDark = getEquivalentExposures(-5, grid).slice(-1)[0];
+  expect(tooDark.shutter).toBe(1);
+  expect(tooDark.inRange).toBe(false);
+  // 有 B 门时改为直接给出所需时间
+  expect(getEquivalentExposures(-5, getExposureGrid('full')).slice(-1)[0]).toMatchObject({ shutter: 64 * 64 * 32, bulb: true });
+  expect(getEquivalentExposures(-Infinity, grid)).toEqual([]);
+});
+
+test('builds range bodies from the selected scale including their own end speeds', () => {
+  const body = { shutterType: 'range', fastest: 1 / 1000, slowest: 1 / 250, bulb: false };
+  expect(getExposureGrid('third', body).shutters).toEqual([1 / 1000, 1 / 800, 1 / 640, 1 / 500, 1 / 400, 1 / 320, 1 / 250]);
+  expect(getExposureGrid('full', { ...body, fastest: 1 / 100, slowest: 1 / 100 }).shutters).toEqual([1 / 100]);
+  expect(getExposureGrid('full', { ...body, fastest: 1 / 90, slowest: 1 / 70 }).shutters).toEqual([1 / 90, 1 / 70]);
+  const fast = getExposureGrid('full', { ...body, fastest: 1 / 8000, slowest: 1 / 2000 });
+  expect(fast.shutters).toEqual([1 / 8000, 1 / 4000, 1 / 2000]);
+  expect(fast.table).toHaveLength(fast.shutters.length * fast.apertures.length);
+});
+
+test('tolerates grids without shutter speeds', () => {
+  expect(snapToScale(1 / 60, [])).toBe(1 / 60);
+  const grid = { shutters: [], apertures: [8], bulb: false, table: [] };
+  expect(getEquivalentExposures(10, grid)).toEqual([]);
+});
+
+test('computes pinhole f-numbers and continuous exposures', () => {
+  const pinhole = calculatePinhole({ enabled: true, input: 'diameter', focalLength: 50, diameter: 0.25, fNumber: 180 });
+  expect(pinhole.fNumber).toBe(200);
+  expect(pinhole.optimalDiameter).toBeCloseTo(0.315, 3);
+  expect(calculatePinhole({ enabled: true, input: 'diameter', focalLength: 50, diameter: 0, fNumber: 180 })).toBeNull();
+  expect(calculatePinhole({ enabled: false, input: 'fNumber', focalLength: 50, diameter: 0.3, fNumber: 180 })).toBeNull();
+
+  const grid = getPinholeGrid(200);
+  expect(getEquivalentExposures(10, grid)).toEqual([{ aperture: 200, shutter: 40000 / 1024, evDifference: 0, inRange: true, bulb: true }]);
+  expect(calculateExposureForEVAperturePriority(10, 200, grid).shutterSpeed).toBeCloseTo(39.0625);
+  const flash = calculateFlashExposure({ guideNumber: 36, power: 1, distance: 3, syncSpeed: 1 / 60 }, 100, 10, grid);
+  expect(flash.shutter).toBe(1 / 60);
+  expect(flash.ambientStops).toBeNull();
+});
+
+test('snaps the flash aperture to the grid', () => {
+  const flash = calculateFlashExposure({ guideNumber: 36, power: 1, distance: 3, syncSpeed: 1 / 60 }, 100, 8);
+  expect(flash.exactAperture).toBeCloseTo(12);
+  expect(flash.aperture).toBe(11);
+  expect(calculateFlashExposure({ guideNumber: 36, power: 1, distance: 0, syncSpeed: 1 / 60 }, 100, 8)).toBeNull();
+});
+
+test('keeps the flash shutter at or slower than the sync speed', () => {
+  const settings = { guideNumber: 36, power: 1, distance: 3, syncSpeed: 1 / 60 };
+  // 晴天 EV 15：补光需要约 1/540 秒，受同步速度限制为 1/60，环境光过强
+  const daylight = calculateFlashExposure(settings, 100, 15);
+  expect(daylight.shutter).toBe(1 / 60);
+  expect(daylight.ambientStops).toBeCloseTo(15 - Math.log2(121 * 60));
+  expect(daylight.ambientOverpowers).toBe(true);
+  // 室内 EV 5：环境光比闪光低 1 档需要约 2 秒（慢速同步）
+  const indoor = calculateFlashExposure(settings, 100, 5);
+  expect(indoor.shutter).toBe(2);
+  expect(indoor.ambientOverpowers).toBe(false);
+});
+
+test('derives the base EV from camera exposure settings in 100 µs units', () => {
+  const base = getCameraExposureBase({ exposureTime: 100, iso: 400 }, 2);
+  expect(base.mode).toBe('absolute');
+  expect(base.exposureTime).toBeCloseTo(0.01);
+  expect(base.baseEV).toBeCloseTo(Math.log2(400) - 2);
+  expect(getCameraExposureBase({ exposureCompensation: 1 })).toEqual({ mode: 'relative', baseEV: 6, cameraCompensation: 1 });
+  expect(getCameraExposureBase(null).baseEV).toBe(7);
+});
+
+test('converts EV100 to illuminance with C = 250', () => {
+  expect(calculateIlluminance(0).lux).toBeCloseTo(2.5);
+  expect(calculateIlluminance(0).footCandles).toBeCloseTo(0.232, 3);
+  expect(calculateIlluminance(10).lux).toBeCloseTo(2560);
+  expect(calculateIlluminance(-Infinity)).toBeNull();
+});
+
+test('places zone readings relative to the anchor', () => {
+  const readings = [{ id: 1, ev: 10 }, { id: 2, ev: 13 }, { id: 3, ev: 6 }];
+  const analysis = analyzeZoneReadings(readings, 3, 3);
+  expect(analysis.exposureEV).toBe(8);
+  expect(analysis.placed.map(r => r.zone)).toEqual([7, 10, 3]);
+  expect(analysis.brightnessRange).toBe(7);
+  expect(analysis.development).toBe('N-2');
+  expect(analyzeZoneReadings(readings.slice(0, 1), 1, 7).development).toBe('N');
+  expect(analyzeZoneReadings(readings.slice(0, 1), 1, 5).development).toBe('N+2');
+  expect(analyzeZoneReadings(readings, 99, 5)).toBeNull();
+});
@@ -0,0 +1,402 @@
+// filmPresets.js
+// 内置胶片预设（只读）与用户自定义胶片的存储、导入导出
+import { translate } from './i18n.js';
+
+// boxSpeed：标称 ISO；latitude：可用宽容度（档），即能同时保留暗部与高光细节的场景亮度范围；
+// maxPush / maxPull：厂商或常用冲洗方案能承受的增感 / 减感档数
+export const builtInFilmPresets = {
+  'Kodak Portra 400': {
+    boxSpeed: 400,
+    calibrationFactor: 0.92,
+    overExposureThreshold: 250,
+    underExposureThreshold: 10,
+    recommendedCompensation: 0.3,
+    latitude: 12,
+    maxPush: 2,
+    maxPull: 2,
+    description: 'Warm tones, excellent skin rendition, slight contrast boost.',
+    reciprocity: { model: 'table', table: [{ metered: 1, corrected: 1 }, { metered: 10, corrected: 15 }, { metered: 100, corrected: 200 }] },
+  },
+  'Ilford HP5': {
+    boxSpeed: 400,
+    calibrationFactor: 0.85,
+    overExposureThreshold: 245,
+    underExposureThreshold: 15,
+    recommendedCompensation: 0.0,
+    latitude: 10,
+    maxPush: 3,
+    maxPull: 1,
+    description: 'Classic black & white film with moderate contrast.',
+    filterFactors: { 'yellow-8': 1, 'yellow-green-11': 2, 'orange-21': 2, 'red-25': 3, 'deep-red-29': 4 },
+    reciprocity: { model: 'schwarzschild', exponent: 1.31 },
+  },
+  'Fuji Superia X-TRA 400': {
+    boxSpeed: 400,
+    calibrationFactor: 0.88,
+    overExposureThreshold: 248,
+    underExposureThreshold: 12,
+    recommendedCompensation: 0.2,
+    latitude: 10,
+    maxPush: 2,
+    maxPull: 1,
+    description: 'Versatile color film delivering vibrant hues with moderate contrast.',
+    reciprocity: { model: 'table', table: [{ metered: 2, corrected: 2 }, { metered: 4, corrected: 5 }, { metered: 16, corrected: 25 }, { metered: 64, corrected: 128 }] },
+  },
+  'Kodak Tri-X 400': {
+    boxSpeed: 400,
+    calibrationFactor: 0.87,
+    overExposureThreshold: 240,
+    underExposureThreshold: 18,
+    recommendedCompensation: 0.0,
+    latitude: 10,
+    maxPush: 3,
+    maxPull: 2,
+    description: 'High contrast black & white film, forgiving of slight exposure errors.',
+    filterFactors: { 'yellow-8': 1, 'yellow-green-11': 2, 'orange-21': 1.7, 'red-25': 3, 'deep-red-29': 4 },
+    reciprocity: {
+      model: 'table',
+      table: [
+        { metered: 0.1, corrected: 0.1 },
+        { metered: 1, corrected: 2, development: -10 },
+        { metered: 10, corrected: 50, development: -20 },
+        { metered: 100, corrected: 1200, development: -30 },
+      ],
+    },
+  },
+  'Kodak Portra 160': {
+    boxSpeed: 160,
+    calibrationFactor: 0.93,
+    overExposureThreshold: 255,
+    underExposureThreshold: 8,
+    recommendedCompensation: 0.2,
+    latitude: 12,
+    maxPush: 1,
+    maxPull: 1,
+    description: 'Low ISO film with fine grain and natural color reproduction.',
+    reciprocity: { model: 'table', table: [{ metered: 1, corrected: 1 }, { metered: 10, corrected: 15 }, { metered: 100, corrected: 200 }] },
+  },
+  'Fujifilm Pro 400H': {
+    boxSpeed: 400,
+    calibrationFactor: 0.90,
+    overExposureThreshold: 252,
+    underExposureThreshold: 10,
+    recommendedCompensation: 0.1,
+    latitude: 11,
+    maxPush: 2,
+    maxPull: 1,
+    description: 'Soft contrast and pastel tones, ideal for portrait photography.',
+    reciprocity: { model: 'table', table: [{ metered: 4, corrected: 4 }, { metered: 16, corrected: 20 }, { metered: 64, corrected: 100 }] },
+  },
+  'Kodak Ektar 100': {
+    boxSpeed: 100,
+    calibrationFactor: 0.95,
+    overExposureThreshold: 255,
+    underExposureThreshold: 5,
+    recommendedCompensation: 0.2,
+    latitude: 9,
+    maxPush: 1,
+    maxPull: 1,
+    description: 'Highly saturated, vivid color film with fine grain.',
+    reciprocity: { model: 'table', table: [{ metered: 1, corrected: 1 }, { metered: 10, corrected: 14 }, { metered: 100, corrected: 180 }] },
+  },
+  'Fujifilm Velvia 50': {
+    boxSpeed: 50,
+    calibrationFactor: 0.94,
+    overExposureThreshold: 253,
+    underExposureThreshold: 6,
+    recommendedCompensation: 0.4,
+    latitude: 5,
+    maxPush: 1,
+    maxPull: 1,
+    description: 'High contrast and vibrant color slide film, excellent for landscapes.',
+    reciprocity: {
+      model: 'table',
+      table: [
+        { metered: 1, corrected: 1 },
+        { metered: 4, corrected: 5 },
+        { metered: 8, corrected: 11 },
+        { metered: 16, corrected: 25 },
+        { metered: 32, corrected: 64 },
+      ],
+    },
+  },
+  'Fujifilm Provia 100F': {
+    boxSpeed: 100,
+    calibrationFactor: 0.91,
+    overExposureThreshold: 250,
+    underExposureThreshold: 8,
+    recommendedCompensation: 0.1,
+    latitude: 6,
+    maxPush: 2,
+    maxPull: 1,
+    description: 'Slide film with natural color rendition and fine grain.',
+    reciprocity: { model: 'table', table: [{ metered: 128, corrected: 128 }, { metered: 240, corrected: 300 }, { metered: 480, corrected: 680 }] },
+  },
+  'Kodak Gold 200': {
+    boxSpeed: 200,
+    calibrationFactor: 0.93,
+    overExposureThreshold: 248,
+    underExposureThreshold: 12,
+    recommendedCompensation: 0.1,
+    latitude: 10,
+    maxPush: 1,
+    maxPull: 1,
+    description: 'Budget color negative film with warm tones and moderate saturation.',
+    reciprocity: { model: 'table', table: [{ metered: 0.1, corrected: 0.1 }, { metered: 1, corrected: 2 }, { metered: 10, corrected: 40 }, { metered: 100, corrected: 800 }] },
+  },
+  'Ilford Delta 3200': {
+    boxSpeed: 3200,
+    calibrationFactor: 0.86,
+    overExposureThreshold: 240,
+    underExposureThreshold: 20,
+    recommendedCompensation: 0.0,
+    latitude: 9,
+    maxPush: 2,
+    maxPull: 2,
+    description: 'High speed black & white film, ideal for low light with distinctive grain.',
+    filterFactors: { 'yellow-8': 1, 'yellow-green-11': 2, 'orange-21': 1.7, 'red-25': 2.7, 'deep-red-29': 3.7 },
+    reciprocity: { model: 'schwarzschild', exponent: 1.33 },
+  },
+  'AgfaPhoto Vista Plus 200': {
+    boxSpeed: 200,
+    calibrationFactor: 0.92,
+    overExposureThreshold: 250,
+    underExposureThreshold: 10,
+    recommendedCompensation: 0.0,
+    latitude: 10,
+    maxPush: 1,
+    maxPull: 1,
+    description: 'Affordable color negative film with balanced contrast and color.',
+    reciprocity: { model: 'table', table: [{ metered: 2, corrected: 2 }, { metered: 4, corrected: 5 }, { metered: 16, corrected: 25 }, { metered: 64, corrected: 128 }] },
+  },
+  'Cinestill 800T': {
+    boxSpeed: 800,
+    calibrationFactor: 0.89,
+    overExposureThreshold: 247,
+    underExposureThreshold: 15,
+    recommendedCompensation: 0.2,
+    latitude: 10,
+    maxPush: 2,
+    maxPull: 1,
+    description: 'Tungsten-balanced film for night photography with a unique halation effect.',
+    reciprocity: { model: 'table', table: [{ metered: 1, corrected: 1 }, { metered: 10, corrected: 13 }, { metered: 100, corrected: 160 }] },
+  },
+  'Lomography Color Negative 400': {
+    boxSpeed: 400,
+    calibrationFactor: 0.90,
+    overExposureThreshold: 250,
+    underExposureThreshold: 10,
+    recommendedCompensation: 0.0,
+    latitude: 10,
+    maxPush: 1,
+    maxPull: 1,
+    description: 'Creative color negative film with saturated colors and soft contrast.',
+    reciprocity: { model: 'table', table: [{ metered: 2, corrected: 2 }, { metered: 4, corrected: 5 }, { metered: 16, corrected: 25 }, { metered: 64, corrected: 128 }] },
+  },
+  'Fujifilm Natura 1600': {
+    boxSpeed: 1600,
+    calibrationFactor: 0.88,
+    overExposureThreshold: 245,
+    underExposureThreshold: 15,
+    recommendedCompensation: 0.0,
+    latitude: 10,
+    maxPush: 1,
+    maxPull: 1,
+    description: 'High speed color film with natural tones in low light conditions.',
+    reciprocity: { model: 'table', table: [{ metered: 4, corrected: 4 }, { metered: 16, corrected: 20 }, { metered: 64, corrected: 100 }] },
+  },
+  'Ilford Pan F Plus 50': {
+    boxSpeed: 50,
+    calibrationFactor: 0.95,
+    overExposureThreshold: 255,
+    underExposureThreshold: 5,
+    recommendedCompensation: 0.2,
+    latitude: 8,
+    maxPush: 1,
+    maxPull: 1,
+    description: 'Low ISO black & white film with extremely fine grain and high resolution.',
+    filterFactors: { 'yellow-8': 1, 'yellow-green-11': 2, 'orange-21': 2, 'red-25': 3, 'deep-red-29': 4 },
+    reciprocity: { model: 'schwarzschild', exponent: 1.33 },
+  },
+  'Rollei Retro 80S': {
+    boxSpeed: 80,
+    calibrationFactor: 0.90,
+    overExposureThreshold: 250,
+    underExposureThreshold: 10,
+    recommendedCompensation: 0.0,
+    latitude: 8,
+    maxPush: 1,
+    maxPull: 1,
+    description: 'High contrast black & white film known for its unique tonality.',
+    filterFactors: { 'yellow-8': 0.7, 'yellow-green-11': 1.7, 'orange-21': 1, 'red-25': 1.7, 'deep-red-29': 2.3 },
+    reciprocity: { model: 'schwarzschild', exponent: 1.25 },
+  },
+  // 可根据需要进一步扩充更多胶片预设……
+};
+
+// 「Custom」为不使用预设的保留名称
+const NO_PRESET = 'custom';
+const CUSTOM_FILM_STOCKS_KEY = 'customFilmStocks';
+const EXPORT_VERSION = 1;
+
+// 可编辑字段及默认值（新建胶片时使用）
+export const emptyFilmStock = {
+  name: '',
+  boxSpeed: 400,
+  calibrationFactor: 0.9,
+  overExposureThreshold: 250,
+  underExposureThreshold: 10,
+  recommendedCompensation: 0,
+  latitude: 10,
+  maxPush: 2,
+  maxPull: 1,
+  description: '',
+};
+
+/****************************************************
+ * 倒易律数据校验：schwarzschild 需要 ≥ 1 的指数；
+ * table 需要至少 2 个点，metered / corrected 为正数且 metered 严格递增。
+ * 无效时返回 null（该胶片不做倒易律校正）
+ ****************************************************/
+function normalizeReciprocity(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  if (raw.model === 'schwarzschild') {
+    const exponent = Number(raw.exponent);
+    return Number.isFinite(exponent) && exponent >= 1 ? { model: 'schwarzschild', exponent } : null;
+  }
+  if (raw.model === 'table' && Array.isArray(raw.table) && raw.table.length >= 2) {
+    const table = raw.table.map(point => {
+      const entry = { metered: Number(point && point.metered), corrected: Number(point && point.corrected) };
+      if (point && Number.isFinite(point.development)) entry.development = point.development;
+      return entry;
+    });
+    const valid = table.every((point, i) =>
+      Number.isFinite(point.metered) && point.metered > 0 && Number.isFinite(point.corrected) && point.corrected > 0 &&
+      (i === 0 || point.metered > table[i - 1].metered)
+    );
+    return valid ? { model: 'table', table } : null;
+  }
+  return null;
+}
+
+// 滤镜系数只保留有限正数，全部无效时返回 null
+function normalizeFilterFactors(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return null;
+  const entries = Object.entries(raw).filter(([, stops]) => typeof stops === 'number' && Number.isFinite(stops) && stops > 0);
+  return entries.length ? Object.fromEntries(entries) : null;
+}
+
+/****************************************************
+ * 校验并规范化一条胶片数据（来自表单或导入文件）
+ * 名称为空、与保留名称冲突或数值无效（阈值须满足 0 ≤ 欠曝 < 过曝 ≤ 255，
+ * 增感 / 减感档数不能为负）时返回 null；
+ * reciprocity、filterFactors 经校验后保留，无效的部分丢弃
+ ****************************************************/
+export function normalizeFilmStock(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const name = typeof raw.name === 'string' ? raw.name.trim() : '';
+  if (!name || name.toLowerCase() === NO_PRESET) return null;
+  const numberOr = (value, fallback) => (Number.isFinite(Number(value)) && value !== '' ? Number(value) : fallback);
+  const stock = {
+    name,
+    boxSpeed: numberOr(raw.boxSpeed, emptyFilmStock.boxSpeed),
+    calibrationFactor: numberOr(raw.calibrationFactor, emptyFilmStock.calibrationFactor),
+    overExposureThreshold: numberOr(raw.overExposureThreshold, emptyFilmStock.overExposureThreshold),
+    underExposureThreshold: numberOr(raw.underExposureThreshold, emptyFilmStock.underExposureThreshold),
+    recommendedCompensation: numberOr(raw.recommendedCompensation, emptyFilmStock.recommendedCompensation),
+    latitude: numberOr(raw.latitude, emptyFilmStock.latitude),
+    maxPush: numberOr(raw.maxPush, emptyFilmStock.maxPush),
+    maxPull: numberOr(raw.maxPull, emptyFilmStock.maxPull),
+    description: typeof raw.description === 'string' ? raw.description : '',
+  };
+  if (stock.boxSpeed <= 0 || stock.calibrationFactor <= 0 || stock.latitude <= 0) return null;
+  if (stock.underExposureThreshold < 0 || stock.overExposureThreshold > 255 || stock.underExposureThreshold >= stock.overExposureThreshold) return null;
+  if (stock.maxPush < 0 || stock.maxPull < 0) return null;
+  const reciprocity = normalizeReciprocity(raw.reciprocity);
+  if (reciprocity) stock.reciprocity = reciprocity;
+  const filterFactors = normalizeFilterFactors(raw.filterFactors);
+  if (filterFactors) stock.filterFactors = filterFactors;
+  return stock;
+}
+
+export function loadCustomFilmStocks() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(CUSTOM_FILM_STOCKS_KEY));
+    return Array.isArray(stored) ? stored.map(normalizeFilmStock).filter(Boolean) : [];
+  } catch (err) {
+    console.error('Custom film stock parse error:', err);
+    return [];
+  }
+}
+
+export function saveCustomFilmStocks(stocks) {
+  localStorage.setItem(CUSTOM_FILM_STOCKS_KEY, JSON.stringify(stocks));
+}
+
+// 合并内置预设与自定义胶片，得到按名称索引的预设表
+export function mergeFilmPresets(customStocks) {
+  const merged = { ...builtInFilmPresets };
+  customStocks.forEach(({ name, ...preset }) => {
+    merged[name] = { ...preset, custom: true };
+  });
+  return merged;
+}
+
+export function isBuiltInFilmPreset(name) {
+  return Object.prototype.hasOwnProperty.call(builtInFilmPresets, name);
+}
+
+/****************************************************
+ * 场景亮度范围与胶片宽容度的比较
+ * 范围不超过宽容度时返回余量；超出时给出测光取舍：
+ * 宽容度不超过 REVERSAL_LATITUDE 档的（反转片）高光一旦溢出无法挽回，按高光曝光，损失暗部；
+ * 负片高光方向宽容度大，按暗部曝光，损失高光
+ * 返回 { fits, spare, protect: 'highlights' | 'shadows' | null, lostStops }
+ ****************************************************/
+const REVERSAL_LATITUDE = 7;
+
+export function assessLatitude(sceneRange, latitude) {
+  if (sceneRange <= latitude) {
+    return { fits: true, spare: latitude - sceneRange, protect: null, lostStops: 0 };
+  }
+  return {
+    fits: false,
+    spare: 0,
+    protect: latitude <= REVERSAL_LATITUDE ? 'highlights' : 'shadows',
+    lostStops: sceneRange - latitude,
+  };
+}
+
+/****************************************************
+ * 增感 / 减感：EI 相对标称 ISO 的档数，正为增感（push），负为减感（pull）
+ * exceeds 表示超出该胶片 maxPush / maxPull 的范围
+ ****************************************************/
+export function getPushPull(preset, exposureIndex) {
+  const stops = Math.log2(exposureIndex / preset.boxSpeed);
+  return { stops, exceeds: stops > preset.maxPush + 0.01 || -stops > preset.maxPull + 0.01 };
+}
+
+const translateEnglish = (text, params) => translate('en', text, params);
+
+// 档数显示："push +2"、"pull -1"，按标称 ISO 使用时为空字符串
+// t 为界面翻译函数（见 i18n.js），默认英文，导出文件也使用英文
+export function formatPushPull(stops, t = translateEnglish) {
+  if (!Number.isFinite(stops) || Math.abs(stops) < 0.05) return '';
+  const value = stops.toFixed(1).replace(/\.0$/, '');
+  return stops > 0 ? t('push +{value}', { value }) : t('pull {value}', { value });
+}
+
+/****************************************************
+ * 导出 / 导入 JSON
+ * 文件格式：{ version, filmStocks: [...] }，导入时也接受纯数组
+ ****************************************************/
+export function exportFilmStocksJSON(stocks) {
+  return JSON.stringify({ version: EXPORT_VERSION, filmStocks: stocks }, null, 2);
+}
+
+export function parseFilmStocksJSON(text) {
+  const parsed = JSON.parse(text);
+  const list = Array.isArray(parsed) ? parsed : parsed && parsed.filmStocks;
+  if (!Array.isArray(list)) throw new Error('No film stocks found in file.');
+  return list.map(normalizeFilmStock).filter(stock => stock && !isBuiltInFilmPreset(stock.name));
+}
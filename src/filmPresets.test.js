@@ -0,0 +1,83 @@
+import { normalizeFilmStock, parseFilmStocksJSON, exportFilmStocksJSON, mergeFilmPresets, assessLatitude, getPushPull, formatPushPull, builtInFilmPresets } from './filmPresets.js';
+import { createI18n } from './i18n.js';
+
+test('normalizes form input and rejects invalid film stocks', () => {
+  expect(normalizeFilmStock({ name: ' Expired Gold ', boxSpeed: '100', calibrationFactor: '0.8' })).toMatchObject({
+    name: 'Expired Gold',
+    boxSpeed: 100,
+    calibrationFactor: 0.8,
+  });
+  expect(normalizeFilmStock({ name: '' })).toBeNull();
+  expect(normalizeFilmStock({ name: 'custom' })).toBeNull();
+  expect(normalizeFilmStock({ name: 'Bad', boxSpeed: -1 })).toBeNull();
+});
+
+test('round-trips exported film stocks and skips built-in names on import', () => {
+  const stocks = [normalizeFilmStock({ name: 'Foma 100', boxSpeed: 100 })];
+  expect(parseFilmStocksJSON(exportFilmStocksJSON(stocks))).toEqual(stocks);
+  expect(parseFilmStocksJSON(JSON.stringify([{ name: 'Ilford HP5', boxSpeed: 400 }]))).toEqual([]);
+  expect(() => parseFilmStocksJSON('{}')).toThrow();
+});
+
+test('drops malformed reciprocity data and filter factors on import', () => {
+  const [stock] = parseFilmStocksJSON(JSON.stringify([{
+    name: 'Broken',
+    reciprocity: { model: 'table', table: [] },
+    filterFactors: { 'red-25': '3', 'yellow-8': 1, 'orange-21': -2 },
+  }]));
+  expect(stock.reciprocity).toBeUndefined();
+  expect(stock.filterFactors).toEqual({ 'yellow-8': 1 });
+  const reciprocity = raw => normalizeFilmStock({ name: 'Film', reciprocity: raw }).reciprocity;
+  expect(reciprocity({ model: 'table', table: [{ metered: 10, corrected: 20 }, { metered: 1, corrected: 2 }] })).toBeUndefined();
+  expect(reciprocity({ model: 'table', table: [{ metered: 1, corrected: 1 }, { metered: 'x', corrected: 2 }] })).toBeUndefined();
+  expect(reciprocity({ model: 'schwarzschild', exponent: 'steep' })).toBeUndefined();
+  expect(reciprocity({ model: 'power', exponent: 1.3 })).toBeUndefined();
+  expect(reciprocity({ model: 'schwarzschild', exponent: 1.31 })).toEqual({ model: 'schwarzschild', exponent: 1.31 });
+  const triX = builtInFilmPresets['Kodak Tri-X 400'].reciprocity;
+  expect(reciprocity(triX)).toEqual(triX);
+});
+
+test('keeps the data of cloned built-in presets', () => {
+  Object.entries(builtInFilmPresets).forEach(([name, preset]) => {
+    const stock = normalizeFilmStock({ ...preset, name: `${name} copy` });
+    expect(stock).not.toBeNull();
+    expect(stock.reciprocity).toEqual(preset.reciprocity);
+    expect(stock.filterFactors).toEqual(preset.filterFactors);
+  });
+});
+
+test('rejects film stocks with out-of-range thresholds or push limits', () => {
+  expect(normalizeFilmStock({ name: 'Film', overExposureThreshold: 300 })).toBeNull();
+  expect(normalizeFilmStock({ name: 'Film', underExposureThreshold: -1 })).toBeNull();
+  expect(normalizeFilmStock({ name: 'Film', underExposureThreshold: 200, overExposureThreshold: 100 })).toBeNull();
+  expect(normalizeFilmStock({ name: 'Film', maxPush: -1 })).toBeNull();
+  expect(normalizeFilmStock({ name: 'Film', maxPull: -2 })).toBeNull();
+});
+
+test('merges custom stocks alongside read-only built-in presets', () => {
+  const merged = mergeFilmPresets([normalizeFilmStock({ name: 'Foma 100', boxSpeed: 100 })]);
+  expect(merged['Foma 100']).toMatchObject({ boxSpeed: 100, custom: true });
+  expect(merged['Ilford HP5']).toBeDefined();
+});
+
+test('compares scene range with film latitude', () => {
+  expect(assessLatitude(4, 5)).toMatchObject({ fits: true, spare: 1, protect: null });
+  expect(assessLatitude(8, 5)).toMatchObject({ fits: false, protect: 'highlights', lostStops: 3 });
+  expect(assessLatitude(14, 12)).toMatchObject({ fits: false, protect: 'shadows', lostStops: 2 });
+  expect(normalizeFilmStock({ name: 'Foma 100' }).latitude).toBe(10);
+});
+
+test('flags pushes and pulls beyond what the stock tolerates', () => {
+  const hp5 = builtInFilmPresets['Ilford HP5'];
+  expect(getPushPull(hp5, 1600)).toEqual({ stops: 2, exceeds: false });
+  expect(getPushPull(hp5, 6400).exceeds).toBe(true);
+  expect(getPushPull(hp5, 100).exceeds).toBe(true);
+});
+
+test('formats push and pull in the interface language', () => {
+  expect(formatPushPull(2)).toBe('push +2');
+  expect(formatPushPull(-1)).toBe('pull -1');
+  expect(formatPushPull(0.01)).toBe('');
+  expect(formatPushPull(2, createI18n('zh-CN').t)).toBe('增感 +2');
+  expect(formatPushPull(-0.5, createI18n('ja').t)).toBe('減感 -0.5');
+});
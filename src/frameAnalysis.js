@@ -0,0 +1,377 @@
+// frameAnalysis.js
+// 单帧分析：一次遍历像素，同时得到测光亮度、各通道直方图与统计数据
+// 纯函数，不依赖 DOM，Web Worker 与主线程回退路径共用
+
+// Gamma 校正：sRGB 转换到线性 RGB
+const linearize = (c) => {
+  c /= 255;
+  return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+};
+
+// 线性亮度查找表（0–255 → 线性值 × 255），避免逐像素调用 Math.pow
+const linearLUT = Float32Array.from({ length: 256 }, (_, c) => linearize(c) * 255);
+
+// 分析尺寸上限：画面先缩小到不超过 640×480
+const ANALYSIS_MAX_WIDTH = 640;
+const ANALYSIS_MAX_HEIGHT = 480;
+// 加权测光的采样步长（每隔 N 像素取样，640×480 约取 160×120 个点）
+const WEIGHTED_SAMPLE_STEP = 4;
+// 评价测光的分区数（EVALUATIVE_GRID × EVALUATIVE_GRID）
+const EVALUATIVE_GRID = 5;
+// 高斯中央重点测光的默认衰减（σ，占画面尺寸的比例）
+export const DEFAULT_CENTER_FALLOFF = 0.25;
+// 点测光角度换算：按常见手机主摄约 65° 水平视角估算
+export const CAMERA_HORIZONTAL_FOV = 65;
+export const spotSizeOptions = [1, 3, 5];
+export const DEFAULT_SPOT_SIZE = 3;
+export const DEFAULT_SPOT_POSITION = { x: 0.5, y: 0.5 };
+// 统计削波时视为纯黑 / 纯白的 8 位通道值
+const CLIP_LOW = 1;
+const CLIP_HIGH = 254;
+
+export function getAnalysisSize(width, height) {
+  return { width: Math.min(ANALYSIS_MAX_WIDTH, width), height: Math.min(ANALYSIS_MAX_HEIGHT, height) };
+}
+
+/****************************************************
+ * 点测光区域（归一化坐标，0–1）
+ * 以 position 为中心、spotSize 度视角的正方形区域，超出画面时贴边
+ ****************************************************/
+export function getSpotRegion(position, spotSize, videoWidth, videoHeight) {
+  const width = spotSize / CAMERA_HORIZONTAL_FOV;
+  const height = (width * videoWidth) / videoHeight;
+  const clamp = (value, size) => Math.min(Math.max(value - size / 2, 0), 1 - size);
+  return { x: clamp(position.x, width), y: clamp(position.y, height), width, height };
+}
+
+/****************************************************
+ * 分析一帧（已缩小到分析尺寸的 RGBA 数据）
+ * options：meteringMode、centerFalloff、spotPosition、spotSize，
+ * 以及 sourceWidth / sourceHeight（原始画面尺寸，用于点测光区域的宽高比）
+ * 测光：
+ * spot / zone：以 spotPosition 为中心、spotSize 度视角的区域平均亮度
+ * center：以画面中心为原点的高斯加权平均，σ 由 centerFalloff 控制
+ * average：全画面平均
+ * evaluative：分区评价测光，见 computeEvaluativeBrightness
+ * 亮度转换为线性 RGB 后计算（乘以255恢复范围）
+ * 直方图隔一个像素取样；亮度直方图使用 Rec.601 权重
+ * 返回 { brightness, mode, adjustments, histograms: { luma, red, green, blue } }
+ ****************************************************/
+export function analyzeFrame(data, width, height, {
+  meteringMode = 'center',
+  centerFalloff = DEFAULT_CENTER_FALLOFF,
+  spotPosition = DEFAULT_SPOT_POSITION,
+  spotSize = DEFAULT_SPOT_SIZE,
+  sourceWidth = width,
+  sourceHeight = height,
+} = {}) {
+  const isSpot = meteringMode === 'spot' || meteringMode === 'zone';
+  const histograms = {
+    luma: new Uint32Array(256),
+    red: new Uint32Array(256),
+    green: new Uint32Array(256),
+    blue: new Uint32Array(256),
+  };
+
+  let spotX0 = 0, spotX1 = 0, spotY0 = 0, spotY1 = 0;
+  if (isSpot) {
+    const region = getSpotRegion(spotPosition, spotSize, sourceWidth, sourceHeight);
+    spotX0 = Math.round(region.x * width);
+    spotY0 = Math.round(region.y * height);
+    spotX1 = spotX0 + Math.max(1, Math.round(region.width * width));
+    spotY1 = spotY0 + Math.max(1, Math.round(region.height * height));
+  }
+  const gridWidth = isSpot ? 0 : Math.floor(width / WEIGHTED_SAMPLE_STEP);
+  const gridHeight = isSpot ? 0 : Math.floor(height / WEIGHTED_SAMPLE_STEP);
+  const luminance = new Float32Array(gridWidth * gridHeight);
+
+  let spotTotal = 0, spotCount = 0;
+  for (let y = 0; y < height; y++) {
+    const inSpotRow = y >= spotY0 && y < spotY1;
+    const gridY = y / WEIGHTED_SAMPLE_STEP;
+    const inGridRow = y % WEIGHTED_SAMPLE_STEP === 0 && gridY < gridHeight;
+    for (let x = 0; x < width; x++) {
+      const pixel = y * width + x;
+      const i = pixel * 4;
+      const r = data[i], g = data[i + 1], b = data[i + 2];
+      if ((pixel & 1) === 0) {
+        const luma = Math.floor(0.299 * r + 0.587 * g + 0.114 * b);
+        histograms.luma[luma]++;
+        histograms.red[r]++;
+        histograms.green[g]++;
+        histograms.blue[b]++;
+      }
+      if (inSpotRow && x >= spotX0 && x < spotX1) {
+        spotTotal += 0.2126 * linearLUT[r] + 0.7152 * linearLUT[g] + 0.0722 * linearLUT[b];
+        spotCount++;
+      }
+      if (inGridRow && x % WEIGHTED_SAMPLE_STEP === 0 && x / WEIGHTED_SAMPLE_STEP < gridWidth) {
+        luminance[gridY * gridWidth + x / WEIGHTED_SAMPLE_STEP] = 0.2126 * linearLUT[r] + 0.7152 * linearLUT[g] + 0.0722 * linearLUT[b];
+      }
+    }
+  }
+
+  const result = { histograms, mode: meteringMode, adjustments: [] };
+
+  if (isSpot) {
+    return { ...result, brightness: spotCount ? spotTotal / spotCount : 0 };
+  }
+
+  if (meteringMode === 'evaluative') {
+    return { ...result, ...computeEvaluativeBrightness(luminance, gridWidth, gridHeight) };
+  }
+
+  if (meteringMode === 'average') {
+    let total = 0;
+    for (let i = 0; i < luminance.length; i++) total += luminance[i];
+    return { ...result, brightness: luminance.length ? total / luminance.length : 0 };
+  }
+
+  // center：坐标归一化到 [-0.5, 0.5]，权重 w = exp(-(dx² + dy²) / 2σ²)
+  const twoSigmaSquared = 2 * centerFalloff * centerFalloff;
+  let weightedTotal = 0, weightSum = 0;
+  for (let gy = 0; gy < gridHeight; gy++) {
+    const dy = (gy + 0.5) / gridHeight - 0.5;
+    for (let gx = 0; gx < gridWidth; gx++) {
+      const dx = (gx + 0.5) / gridWidth - 0.5;
+      const weight = Math.exp(-(dx * dx + dy * dy) / twoSigmaSquared);
+      weightedTotal += luminance[gy * gridWidth + gx] * weight;
+      weightSum += weight;
+    }
+  }
+  return { ...result, brightness: weightSum ? weightedTotal / weightSum : 0 };
+}
+
+/****************************************************
+ * 评价测光
+ * 画面分为 5×5 区，中央 3×3 区权重加倍，再按场景特征修正：
+ * - 天空：顶行比其余区域亮 1.5 档以上时，顶行不参与计算
+ * - 逆光：中央区比外圈暗 2 档以上时，改为以中央区为主
+ * - 高光：天空以外接近饱和的像素超过 2% 时，减少曝光保护高光（最多 1 档）
+ * 每项修正以 EV 记录在 adjustments 中（正值 = 减少曝光）
+ ****************************************************/
+function computeEvaluativeBrightness(luminance, gridWidth, gridHeight) {
+  const zoneMeans = [];
+  for (let zy = 0; zy < EVALUATIVE_GRID; zy++) {
+    for (let zx = 0; zx < EVALUATIVE_GRID; zx++) {
+      const x0 = Math.floor((zx * gridWidth) / EVALUATIVE_GRID), x1 = Math.floor(((zx + 1) * gridWidth) / EVALUATIVE_GRID);
+      const y0 = Math.floor((zy * gridHeight) / EVALUATIVE_GRID), y1 = Math.floor(((zy + 1) * gridHeight) / EVALUATIVE_GRID);
+      let total = 0, count = 0;
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          total += luminance[y * gridWidth + x];
+          count++;
+        }
+      }
+      zoneMeans.push({ x: zx, y: zy, mean: count ? total / count : 0 });
+    }
+  }
+  const mean = (zones) => zones.reduce((sum, z) => sum + z.mean, 0) / (zones.length || 1);
+  const stopsBetween = (a, b) => Math.log2(Math.max(a, 1e-3) / Math.max(b, 1e-3));
+  const isCenter = (z) => z.x > 0 && z.x < EVALUATIVE_GRID - 1 && z.y > 0 && z.y < EVALUATIVE_GRID - 1;
+  const adjustments = [];
+
+  const weightedMean = (list) => {
+    let total = 0, weightSum = 0;
+    list.forEach(z => {
+      const weight = isCenter(z) ? 2 : 1;
+      total += z.mean * weight;
+      weightSum += weight;
+    });
+    return weightSum ? total / weightSum : 0;
+  };
+
+  let zones = zoneMeans;
+  const topRow = zoneMeans.filter(z => z.y === 0);
+  const belowTop = zoneMeans.filter(z => z.y > 0);
+  if (stopsBetween(mean(topRow), mean(belowTop)) >= 1.5) {
+    zones = belowTop;
+    adjustments.push({ reason: 'sky', ev: stopsBetween(weightedMean(belowTop), weightedMean(zoneMeans)) });
+  }
+  let brightness = weightedMean(zones);
+
+  const centerZones = zones.filter(isCenter);
+  const outerZones = zones.filter(z => !isCenter(z));
+  if (centerZones.length && outerZones.length && stopsBetween(mean(outerZones), mean(centerZones)) >= 2) {
+    const backlitBrightness = mean(centerZones);
+    adjustments.push({ reason: 'backlight', ev: stopsBetween(backlitBrightness, brightness) });
+    brightness = backlitBrightness;
+  }
+
+  // 线性亮度 230 约对应 sRGB 245，视为接近饱和；已排除天空时不统计顶行
+  const firstRow = zones === zoneMeans ? 0 : Math.floor(gridHeight / EVALUATIVE_GRID);
+  let highlightCount = 0;
+  for (let i = firstRow * gridWidth; i < luminance.length; i++) {
+    if (luminance[i] >= 230) highlightCount++;
+  }
+  const sampledCount = luminance.length - firstRow * gridWidth;
+  const highlightFraction = sampledCount ? highlightCount / sampledCount : 0;
+  if (highlightFraction > 0.02) {
+    const bias = Math.min(1, highlightFraction * 10);
+    brightness *= Math.pow(2, bias);
+    adjustments.push({ reason: 'highlights', ev: bias });
+  }
+
+  return { brightness, adjustments };
+}
+
+export const overlayModes = [
+  { value: 'off', label: 'Off' },
+  { value: 'zebra', label: 'Zebra' },
+  { value: 'falseColor', label: 'False Color' },
+];
+
+// 斑马纹条纹宽度（像素，分析尺寸下）
+const ZEBRA_STRIPE_WIDTH = 4;
+
+/****************************************************
+ * 伪色分段（8 位亮度，已按曝光补偿调整，min 含、max 不含）
+ * 两端跟随预设的欠曝 / 过曝阈值，中间参照电影监视器标出中灰与 +1 档：
+ * Zone V（18% 灰，sRGB ≈ 118）绿色，Zone VI（常用于肤色，sRGB ≈ 161）粉色
+ * 不在任何分段内的像素显示为灰度
+ ****************************************************/
+export function getFalseColorBands(underExposureThreshold, overExposureThreshold) {
+  return [
+    { min: 0, max: underExposureThreshold, color: [128, 0, 200], label: 'Clipped shadows' },
+    { min: underExposureThreshold, max: underExposureThreshold + 10, color: [0, 80, 255], label: 'Near black' },
+    { min: 110, max: 127, color: [0, 200, 0], label: 'Zone V (18% gray)' },
+    { min: 152, max: 171, color: [255, 105, 180], label: 'Zone VI (+1 stop)' },
+    { min: overExposureThreshold - 9, max: overExposureThreshold + 1, color: [255, 220, 0], label: 'Near white' },
+    { min: overExposureThreshold + 1, max: 256, color: [255, 0, 0], label: 'Clipped highlights' },
+  ];
+}
+
+/****************************************************
+ * 曝光叠加层（与帧同尺寸的 RGBA）
+ * 亮度与直方图一致：Rec.601 亮度 × 2^compensation，再与阈值比较
+ * zebra：高于 overExposureThreshold 画红色斜纹、低于 underExposureThreshold 画蓝色斜纹，其余透明；
+ *        phase 使条纹随时间移动
+ * falseColor：按 getFalseColorBands 着色，不透明
+ ****************************************************/
+export function buildExposureOverlay(data, width, height, {
+  overlayMode,
+  compensation = 0,
+  overExposureThreshold,
+  underExposureThreshold,
+  phase = 0,
+}) {
+  // 亮度 → 叠加颜色的查找表，每帧只需计算 256 项
+  const gain = Math.pow(2, compensation);
+  const lut = new Uint8ClampedArray(256 * 4);
+  const bands = getFalseColorBands(underExposureThreshold, overExposureThreshold);
+  for (let luma = 0; luma < 256; luma++) {
+    const adjusted = Math.min(Math.round(luma * gain), 255);
+    let color = null;
+    if (overlayMode === 'zebra') {
+      if (adjusted > overExposureThreshold) color = [255, 0, 0, 220];
+      else if (adjusted < underExposureThreshold) color = [0, 80, 255, 220];
+    } else {
+      const band = bands.find(b => adjusted >= b.min && adjusted < b.max);
+      color = band ? [...band.color, 255] : [adjusted, adjusted, adjusted, 255];
+    }
+    if (color) lut.set(color, luma * 4);
+  }
+
+  const overlay = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (overlayMode === 'zebra' && Math.floor((x + y + phase) / ZEBRA_STRIPE_WIDTH) % 2) continue;
+      const i = (y * width + x) * 4;
+      const luma = Math.floor(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]) * 4;
+      overlay[i] = lut[luma];
+      overlay[i + 1] = lut[luma + 1];
+      overlay[i + 2] = lut[luma + 2];
+      overlay[i + 3] = lut[luma + 3];
+    }
+  }
+  return overlay;
+}
+
+/****************************************************
+ * 直方图辅助：曝光补偿平移、削波比例与档位刻度
+ * 档位以 18% 中灰（sRGB ≈ 118，即 Zone V）为 0
+ ****************************************************/
+const MIDDLE_GRAY_LINEAR = 0.18;
+
+// 线性亮度（0–1）→ sRGB 8 位值（不取整）
+function encodeSRGB(linear) {
+  const c = linear <= 0.0031308 ? linear * 12.92 : 1.055 * Math.pow(linear, 1 / 2.4) - 0.055;
+  return Math.min(Math.max(c, 0), 1) * 255;
+}
+
+// 相对中灰 stops 档处的 8 位值
+export function valueAtStops(stops) {
+  return encodeSRGB(MIDDLE_GRAY_LINEAR * Math.pow(2, stops));
+}
+
+// 测光亮度（线性 × 255，即 analyzeFrame 的 brightness）→ 8 位值，用于在直方图上标出测光读数
+export function brightnessToValue(brightness) {
+  return encodeSRGB(brightness / 255);
+}
+
+// 按曝光补偿平移直方图：每个亮度乘以 2^compensation，超出 255 的计入 255
+export function shiftHistogram(histogram, compensation) {
+  const shifted = new Array(256).fill(0);
+  const gain = Math.pow(2, compensation);
+  for (let i = 0; i < 256; i++) {
+    shifted[Math.min(Math.round(i * gain), 255)] += histogram[i];
+  }
+  return shifted;
+}
+
+/****************************************************
+ * 各通道削波比例（%），与直方图着色一致：
+ * 低于 underExposureThreshold 为暗部削波，高于 overExposureThreshold 为高光削波
+ * 返回 { luma, red, green, blue }，每项为 { shadows, highlights }
+ ****************************************************/
+export function getClippingPercentages(histograms, compensation, underExposureThreshold, overExposureThreshold) {
+  const percentages = {};
+  ['luma', 'red', 'green', 'blue'].forEach(channel => {
+    const shifted = shiftHistogram(histograms[channel], compensation);
+    let total = 0, shadows = 0, highlights = 0;
+    for (let i = 0; i < 256; i++) {
+      total += shifted[i];
+      if (i < underExposureThreshold) shadows += shifted[i];
+      else if (i > overExposureThreshold) highlights += shifted[i];
+    }
+    percentages[channel] = {
+      shadows: total ? (shadows / total) * 100 : 0,
+      highlights: total ? (highlights / total) * 100 : 0,
+    };
+  });
+  return percentages;
+}
+
+/****************************************************
+ * 场景亮度范围（档）
+ * 取亮度直方图的 lowPercentile ~ highPercentile 百分位（默认 2% ~ 98%，排除个别极亮极暗点），
+ * 按 sRGB 还原为线性亮度后换算成相对中灰的档位
+ * 任一端落在削波区时 clipped 为 true，实际范围可能更大
+ * 返回 { shadowStops, highlightStops, range, clipped }，没有样本时返回 null
+ ****************************************************/
+export function getSceneDynamicRange(lumaHistogram, lowPercentile = 2, highPercentile = 98) {
+  let total = 0;
+  for (let i = 0; i < 256; i++) total += lumaHistogram[i];
+  if (!total) return null;
+  const percentileValue = (percentile) => {
+    const target = (total * percentile) / 100;
+    let count = 0;
+    for (let i = 0; i < 256; i++) {
+      count += lumaHistogram[i];
+      if (count >= target) return i;
+    }
+    return 255;
+  };
+  const low = percentileValue(lowPercentile);
+  const high = percentileValue(highPercentile);
+  // 纯黑没有对应的档位，按最暗的非零值计算
+  const toStops = (value) => Math.log2(linearLUT[Math.max(value, 1)] / 255 / MIDDLE_GRAY_LINEAR);
+  const shadowStops = toStops(low);
+  const highlightStops = toStops(high);
+  return {
+    shadowStops,
+    highlightStops,
+    range: highlightStops - shadowStops,
+    clipped: low <= CLIP_LOW || high >= CLIP_HIGH,
+  };
+}
@@ -0,0 +1,64 @@
+import { analyzeFrame, buildExposureOverlay, valueAtStops, brightnessToValue, getClippingPercentages, getSceneDynamicRange } from './frameAnalysis.js';
+
+// 左半画面为 leftValue、右半为 rightValue 的灰度帧
+function makeFrame(width, height, leftValue, rightValue) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      data[i] = data[i + 1] = data[i + 2] = x < width / 2 ? leftValue : rightValue;
+      data[i + 3] = 255;
+    }
+  }
+  return data;
+}
+
+test('meters a uniform frame identically in every weighted mode', () => {
+  const data = makeFrame(64, 48, 128, 128);
+  const results = ['center', 'average', 'evaluative'].map(meteringMode => analyzeFrame(data, 64, 48, { meteringMode }));
+  results.forEach(result => expect(result.brightness).toBeCloseTo(results[0].brightness, 3));
+  expect(results[0].histograms.luma[127] + results[0].histograms.luma[128]).toBe(64 * 48 / 2);
+});
+
+test('spot metering reads only the region around the spot position', () => {
+  const data = makeFrame(64, 48, 0, 255);
+  const dark = analyzeFrame(data, 64, 48, { meteringMode: 'spot', spotPosition: { x: 0.2, y: 0.5 } });
+  const bright = analyzeFrame(data, 64, 48, { meteringMode: 'spot', spotPosition: { x: 0.8, y: 0.5 } });
+  expect(dark.brightness).toBe(0);
+  expect(bright.brightness).toBeCloseTo(255, 3);
+  expect(bright.histograms.luma[255]).toBe(64 * 48 / 4);
+  expect(bright.histograms.luma[0]).toBe(64 * 48 / 4);
+});
+
+test('overlays mark clipped pixels after exposure compensation', () => {
+  const data = makeFrame(16, 16, 5, 200);
+  const thresholds = { overExposureThreshold: 245, underExposureThreshold: 15 };
+  // 对每个半幅画面取一个必定落在条纹上的像素（x + y 在一个条纹宽度内）
+  const zebra = buildExposureOverlay(data, 16, 16, { overlayMode: 'zebra', ...thresholds });
+  expect(Array.from(zebra.slice(0, 4))).toEqual([0, 80, 255, 220]);
+  expect(zebra[(0 * 16 + 8) * 4 + 3]).toBe(0);
+  const pushed = buildExposureOverlay(data, 16, 16, { overlayMode: 'zebra', compensation: 1, ...thresholds });
+  expect(Array.from(pushed.slice((0 * 16 + 8) * 4, (0 * 16 + 8) * 4 + 4))).toEqual([255, 0, 0, 220]);
+  const falseColor = buildExposureOverlay(data, 16, 16, { overlayMode: 'falseColor', ...thresholds });
+  expect(Array.from(falseColor.slice(0, 4))).toEqual([128, 0, 200, 255]);
+  expect(Array.from(falseColor.slice(8 * 4, 8 * 4 + 4))).toEqual([200, 200, 200, 255]);
+});
+
+test('histogram helpers place middle gray and count clipping after compensation', () => {
+  expect(Math.round(valueAtStops(0))).toBe(118);
+  expect(brightnessToValue(255)).toBeCloseTo(255, 5);
+  const data = makeFrame(16, 16, 5, 200);
+  const { histograms } = analyzeFrame(data, 16, 16, {});
+  const clipping = getClippingPercentages(histograms, 0, 15, 245);
+  expect(clipping.luma.shadows).toBeCloseTo(50, 5);
+  expect(clipping.luma.highlights).toBe(0);
+  expect(getClippingPercentages(histograms, 1, 15, 245).red.highlights).toBeCloseTo(50, 5);
+});
+
+test('measures scene range between the 2nd and 98th percentiles', () => {
+  const { histograms } = analyzeFrame(makeFrame(16, 16, 30, 220), 16, 16, {});
+  const dynamicRange = getSceneDynamicRange(histograms.luma);
+  expect(dynamicRange.range).toBeCloseTo(Math.log2(0.716 / 0.0130), 1);
+  expect(dynamicRange.clipped).toBe(false);
+  expect(getSceneDynamicRange(new Uint32Array(256))).toBeNull();
+});
@@ -0,0 +1,75 @@
+// i18n.js
+// 界面多语言：以英文原文为键，中文（简体）与日文按原文查表翻译，缺少译文时显示原文
+import { createContext, useContext } from 'react';
+import zhCN from './locales/zh-CN.js';
+import ja from './locales/ja.js';
+
+const LANGUAGE_KEY = 'language';
+const DEFAULT_LANGUAGE = 'en';
+
+// 英文为源语言，词典为空
+const bundles = { en: {}, 'zh-CN': zhCN, ja };
+
+export const languageOptions = [
+  { value: 'en', label: 'English' },
+  { value: 'zh-CN', label: '简体中文' },
+  { value: 'ja', label: '日本語' },
+];
+
+/****************************************************
+ * 按浏览器语言偏好选择界面语言
+ * zh、zh-CN、zh-Hans 等均使用简体中文；没有匹配时使用英文
+ ****************************************************/
+export function detectLanguage(preferred = typeof navigator !== 'undefined' ? navigator.languages || [navigator.language] : []) {
+  for (const tag of preferred) {
+    if (!tag) continue;
+    const lower = tag.toLowerCase();
+    if (lower.startsWith('zh')) return 'zh-CN';
+    if (lower.startsWith('ja')) return 'ja';
+    if (lower.startsWith('en')) return 'en';
+  }
+  return DEFAULT_LANGUAGE;
+}
+
+// 手动选择的语言优先，否则自动检测
+export function loadLanguage() {
+  const stored = localStorage.getItem(LANGUAGE_KEY);
+  return bundles[stored] ? stored : detectLanguage();
+}
+
+export function saveLanguage(language) {
+  localStorage.setItem(LANGUAGE_KEY, language);
+}
+
+/****************************************************
+ * 翻译：text 为英文原文，{name} 占位符由 params 替换
+ ****************************************************/
+export function translate(language, text, params) {
+  const bundle = bundles[language] || bundles[DEFAULT_LANGUAGE];
+  const template = bundle[text] !== undefined ? bundle[text] : text;
+  if (!params) return template;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+}
+
+// 按界面语言格式化数值（小数位数固定）
+export function formatNumber(language, value, fractionDigits = 0) {
+  return new Intl.NumberFormat(language, {
+    minimumFractionDigits: fractionDigits,
+    maximumFractionDigits: fractionDigits,
+  }).format(value);
+}
+
+// 一种语言的翻译与格式化函数，经 I18nContext 传给子组件
+export function createI18n(language) {
+  return {
+    language,
+    t: (text, params) => translate(language, text, params),
+    formatNumber: (value, fractionDigits) => formatNumber(language, value, fractionDigits),
+  };
+}
+
+export const I18nContext = createContext(createI18n(DEFAULT_LANGUAGE));
+
+export function useI18n() {
+  return useContext(I18nContext);
+}
@@ -0,0 +1,36 @@
+import { detectLanguage, translate, formatNumber, createI18n } from './i18n.js';
+import zhCN from './locales/zh-CN.js';
+import ja from './locales/ja.js';
+
+test('detects the interface language from browser preferences', () => {
+  expect(detectLanguage(['zh-TW', 'en-US'])).toBe('zh-CN');
+  expect(detectLanguage(['ja-JP'])).toBe('ja');
+  expect(detectLanguage(['fr-FR', 'en-GB', 'ja'])).toBe('en');
+  expect(detectLanguage(['fr-FR'])).toBe('en');
+  expect(detectLanguage([])).toBe('en');
+});
+
+test('translates source strings and falls back to English', () => {
+  expect(translate('zh-CN', 'Back')).toBe('返回');
+  expect(translate('ja', 'Zone {numeral}', { numeral: 'V' })).toBe('ゾーン V');
+  expect(translate('en', 'Zone {numeral}', { numeral: 'V' })).toBe('Zone V');
+  expect(translate('ja', 'Not in any bundle {x}', { x: 1 })).toBe('Not in any bundle 1');
+  expect(translate('fr', 'Back')).toBe('Back');
+  // 缺少的参数保留占位符
+  expect(translate('en', '{nn} is the frame number')).toBe('{nn} is the frame number');
+});
+
+test('keeps every placeholder in the translated bundles', () => {
+  const placeholders = (text) => (text.match(/\{\w+\}/g) || []).sort();
+  [zhCN, ja].forEach(bundle => {
+    Object.entries(bundle).forEach(([source, text]) => {
+      expect(placeholders(text)).toEqual(placeholders(source));
+    });
+  });
+});
+
+test('formats numbers for the interface language', () => {
+  expect(formatNumber('en', 1234.5, 1)).toBe('1,234.5');
+  expect(formatNumber('en', 2)).toBe('2');
+  expect(createI18n('ja').formatNumber(0.5, 1)).toBe('0.5');
+});
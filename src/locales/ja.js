@@ -0,0 +1,336 @@
+// locales/ja.js
+// 日文界面文字：键为英文原文（见 i18n.js），{name} 占位符须原样保留
+const ja = {
+  // 页面 Meta 标签
+  'Film Camera Light Meter - Accurate Exposure Metering for Film Photography': 'フィルムカメラ露出計 - フィルム写真のための正確な露出測定',
+  'An advanced film camera light meter app for accurate exposure metering using manual settings, center-weighted calculations, and real-time histogram analysis.':
+    'マニュアル設定、中央重点測光の計算、リアルタイムのヒストグラム分析で正確な露出を求める、フィルムカメラ向けの高機能露出計アプリです。',
+  'Film, Camera, Light Meter, Exposure, EV, Manual Exposure, ISO, Aperture, Shutter Speed, Histogram, Photography':
+    'フィルム, カメラ, 露出計, 露出, EV, マニュアル露出, ISO, 絞り, シャッタースピード, ヒストグラム, 写真',
+  'Film Camera Light Meter': 'フィルムカメラ露出計',
+  'Accurate exposure metering for film cameras using manual settings, center-weighted analysis and real-time histogram.':
+    'マニュアル設定、中央重点分析、リアルタイムヒストグラムによるフィルムカメラの正確な露出測定。',
+  'All rights reserved.': '無断転載を禁じます。',
+  'Measurement system error': '測光システムのエラー',
+
+  // シャッタースピードと数値
+  '1/{denominator} sec': '1/{denominator} 秒',
+  '{hours}h {minutes}m': '{hours} 時間 {minutes} 分',
+  '{minutes}m {seconds}s': '{minutes} 分 {seconds} 秒',
+  '{seconds} sec': '{seconds} 秒',
+
+  // 露出の基準と測光結果
+  'Absolute (camera {shutter}, ISO {iso}, f/{fNumber})': '絶対測光（カメラ {shutter}、ISO {iso}、f/{fNumber}）',
+  'Relative': '相対測光',
+  'Relative, camera compensation {compensation} EV removed': '相対測光、カメラの補正 {compensation} EV を除去',
+  'sky excluded': '空を除外',
+  'backlight': '逆光',
+  'highlight protection': 'ハイライト保護',
+
+  // シーンと露出の警告
+  'Bright outdoor (Sunny)': '明るい屋外（晴天）',
+  'Outdoor overcast / bright indoor': '屋外の曇天 / 明るい室内',
+  'Indoor (normal lighting)': '室内（通常の照明）',
+  'Dim indoor / night street': '薄暗い室内 / 夜の街',
+  'Very low light': '非常に暗い',
+  'Extremely dark, increase ISO/aperture.': '非常に暗いです。ISO を上げるか絞りを開けてください。',
+  'Extremely bright! Reduce ISO or aperture.': '非常に明るいです！ISO を下げるか絞りを絞ってください。',
+  'Severely underexposed, increase aperture or ISO significantly.': '大幅な露出不足です。絞りを大きく開けるか ISO を大きく上げてください。',
+  'Moderately underexposed, consider increasing aperture or ISO.': 'やや大きな露出不足です。絞りを開けるか ISO を上げることを検討してください。',
+  'Slightly underexposed, fine-tune settings.': 'わずかに露出不足です。設定を微調整してください。',
+  'Severely overexposed, reduce aperture or ISO significantly.': '大幅な露出オーバーです。絞りを大きく絞るか ISO を大きく下げてください。',
+  'Moderately overexposed, consider reducing aperture or ISO.': 'やや大きな露出オーバーです。絞りを絞るか ISO を下げることを検討してください。',
+  'Slightly overexposed, fine-tune settings.': 'わずかに露出オーバーです。設定を微調整してください。',
+  'Measurement error': '測光エラー',
+
+  // 測光モードの説明
+  'center-weighted (Gaussian falloff)': '中央重点（ガウス減衰）',
+  'average (full frame)': '平均（画面全体）',
+  'evaluative (5×5 zones)': '評価（5×5 分割）',
+  'spot (tap to place)': 'スポット（タップで指定）',
+  'Zone System (multi-spot placement)': 'ゾーンシステム（マルチスポット配置）',
+
+  // ゾーンシステム
+  'Below 0': '0 未満',
+  'Above X': 'X 超',
+  'Zone {numeral}': 'ゾーン {numeral}',
+  'Add Reading': '測定値を追加',
+  'Place anchor on:': '基準の配置先：',
+  'Clear': 'クリア',
+  'Live spot: {zone}': 'ライブスポット：{zone}',
+  'Brightness range: {range} stops · Development: {development}': '輝度域：{range} 段 · 現像：{development}',
+
+  // フラッシュ
+  'Guide Number (m, ISO 100):': 'ガイドナンバー（m、ISO 100）：',
+  'Power:': '発光量：',
+  'Distance (m):': '距離（m）：',
+  'Sync Speed:': '同調速度：',
+  'Flash Aperture (ISO {iso}): {aperture} (exact f/{exact})': 'フラッシュ絞り（ISO {iso}）：{aperture}（正確には f/{exact}）',
+  'Sync-safe Shutter: {shutter}': '同調可能なシャッター：{shutter}',
+  'Ambient: {stops} EV · Flash:Ambient = {ratio}:1': '定常光：{stops} EV · フラッシュ:定常光 = {ratio}:1',
+  'Ambient light overpowers the flash at the sync speed. Stop down, add ND, or increase flash power.':
+    '同調速度では定常光がフラッシュより強くなります。絞り込むか、ND フィルターを付けるか、発光量を上げてください。',
+  'Enter a guide number and subject distance.': 'ガイドナンバーと被写体までの距離を入力してください。',
+
+  // カメラ
+  'Unable to save the frame.': 'コマを保存できません。',
+  'Camera {number}': 'カメラ {number}',
+  'iPhone camera may use auto-exposure. For best results, use manual compensation or calibration.':
+    'iPhone のカメラは自動露出になる場合があります。正確に測るには手動補正かキャリブレーションを使ってください。',
+  'Unable to access camera. Please check your permissions.': 'カメラにアクセスできません。権限を確認してください。',
+  'Unable to switch camera.': 'カメラを切り替えられません。',
+  'Language:': '言語：',
+  'Please allow access to your camera to start.': '開始するにはカメラへのアクセスを許可してください。',
+  'Connecting...': '接続中…',
+  'Allow Camera Access': 'カメラへのアクセスを許可',
+  'Meter an Image File': '画像ファイルを測光',
+
+  // 設定画面
+  'Set ISO, Exposure Compensation, Priority & Metering Mode': 'ISO・露出補正・優先モード・測光モードの設定',
+  'Note: Light metering is based on a standard 18% gray card (calibration factor adjustable).': '注：測光は標準の 18% グレーカードを基準にしています（キャリブレーション係数は調整可能）。',
+  'Camera:': 'カメラ：',
+  'Each camera keeps its own calibration factor.': 'キャリブレーション係数はカメラごとに保存されます。',
+  'Phone Lens f-number:': 'スマホのレンズの F 値：',
+  'Used for absolute metering when the camera reports its exposure time and ISO.': 'カメラが露出時間と ISO を報告する場合、絶対測光に使います。',
+  'Pin Camera Exposure:': 'カメラの露出を固定：',
+  'Exposure Time (ms):': '露出時間（ms）：',
+  'Camera ISO:': 'カメラの ISO：',
+  'This camera does not support manual exposure.': 'このカメラはマニュアル露出に対応していません。',
+  'Camera Body:': 'ボディ：',
+  'Any (all shutter speeds)': '指定なし（すべてのシャッタースピード）',
+  'Lens:': 'レンズ：',
+  'Any (all apertures)': '指定なし（すべての絞り）',
+  'Manage Bodies & Lenses': 'ボディとレンズの管理',
+  'Recommendations use only the speeds and apertures this kit can be set to.': '推奨値には、この機材で設定できるシャッタースピードと絞りだけを使います。',
+  'Pinhole Camera': 'ピンホールカメラ',
+  'Input:': '入力：',
+  'Pinhole Diameter': 'ピンホール径',
+  'f-number': 'F 値',
+  'Focal Length (mm):': '焦点距離（mm）：',
+  'Pinhole Diameter (mm):': 'ピンホール径（mm）：',
+  'f-number:': 'F 値：',
+  'optimal pinhole for {focalLength} mm: {diameter} mm (f/{fNumber})': '{focalLength} mm に最適なピンホール：{diameter} mm（f/{fNumber}）',
+  'Enter a focal length and pinhole diameter, or an f-number.': '焦点距離とピンホール径、または F 値を入力してください。',
+  'Stop Increment:': '段階：',
+  'Full Stops': '1 段',
+  '1/2 Stops': '1/2 段',
+  '1/3 Stops': '1/3 段',
+  'Exposure Index:': '露出指数（EI）：',
+  'Box speed ISO {boxSpeed}': '公称感度 ISO {boxSpeed}',
+  '{pushPull} stops': '{pushPull} 段',
+  'no push/pull': '増感・減感なし',
+  'push +{value}': '増感 +{value}',
+  'pull {value}': '減感 {value}',
+  'beyond the {stops}-stop push {film} tolerates': '{film} が対応できる {stops} 段の増感を超えています',
+  'beyond the {stops}-stop pull {film} tolerates': '{film} が対応できる {stops} 段の減感を超えています',
+  'Exposure Compensation:': '露出補正：',
+  'Lens Filters:': 'レンズフィルター：',
+  'Add filter…': 'フィルターを追加…',
+  'ND 0.3 (1 stop)': 'ND 0.3（1 段）',
+  'ND 0.6 (2 stops)': 'ND 0.6（2 段）',
+  'ND 0.9 (3 stops)': 'ND 0.9（3 段）',
+  'ND 1.8 (6 stops)': 'ND 1.8（6 段）',
+  'ND 3.0 (10 stops)': 'ND 3.0（10 段）',
+  'Polarizer': '偏光フィルター',
+  'Yellow #8': 'イエロー #8',
+  'Yellow-Green #11': 'イエローグリーン #11',
+  'Orange #21': 'オレンジ #21',
+  'Red #25': 'レッド #25',
+  'Deep Red #29': 'ディープレッド #29',
+  'Close-up / Bellows Compensation': '接写 / ベローズ補正',
+  'Extension (mm)': '繰り出し量（mm）',
+  'Magnification': '撮影倍率',
+  'Extension beyond infinity (mm):': '無限遠からの繰り出し量（mm）：',
+  'Magnification (m):': '撮影倍率（m）：',
+  'm = {magnification}, bellows factor (1+m)² = ×{factor} (+{stops} EV)': 'm = {magnification}、露出倍数 (1+m)² = ×{factor}（+{stops} EV）',
+  'Calibration Factor:': 'キャリブレーション係数：',
+  'Auto Calibrate Gray Card': 'グレーカードで自動キャリブレーション',
+  'Light Measurement:': '測光方式：',
+  'Reflected': '反射光式',
+  'Incident (Diffuser over Lens)': '入射光式（レンズに拡散板）',
+  'Incident Calibration Factor:': '入射光式のキャリブレーション係数：',
+  'Cover the lens with white paper or half a ping-pong ball and point it from the subject toward the light.':
+    'レンズを白い紙か半分に切ったピンポン球で覆い、被写体の位置から光源に向けてください。',
+  'Priority Mode:': '優先モード：',
+  'Shutter Priority': 'シャッター優先',
+  'Aperture Priority': '絞り優先',
+  'Chosen Aperture:': '選択した絞り：',
+  'Chosen Shutter:': '選択したシャッター：',
+  'Metering Mode:': '測光モード：',
+  'Center Weighted (Gaussian Weighting)': '中央重点（ガウス重み付け）',
+  'Average (Full Frame)': '平均（画面全体）',
+  'Evaluative (Multi-zone)': '評価（マルチゾーン）',
+  'Spot Meter (Tap to Place)': 'スポット（タップで指定）',
+  'Zone System (Multi-spot Placement)': 'ゾーンシステム（マルチスポット配置）',
+  'Spot Size:': 'スポットの大きさ：',
+  'Center Falloff (σ, fraction of frame):': '中央の減衰（σ、画面に対する割合）：',
+  'Color Channel Mode:': 'カラーチャンネル表示：',
+  'Combined': '合成',
+  'RGB Overlay': 'RGB 重ね表示',
+  'Separate': '個別',
+  'Histogram Log Scale:': 'ヒストグラムを対数表示：',
+  'Film Preset:': 'フィルムプリセット：',
+  'Custom': 'カスタム',
+  'Built-in': '内蔵',
+  'My Film Stocks': 'マイフィルム',
+  'Manage Film Stocks': 'フィルムの管理',
+  'Rolls': 'ロール',
+  'Current roll: {name} ({used}/{total})': '使用中のロール：{name}（{used}/{total}）',
+  'EV Smoothing Factor:': 'EV 平滑化係数：',
+  'Over Exposure Threshold:': '露出オーバーのしきい値：',
+  'Under Exposure Threshold:': '露出不足のしきい値：',
+  'Confirm & Start Metering': '確定して測光を開始',
+
+  // 測光画面
+  'Back': '戻る',
+  'Unlock AE': 'AE ロック解除',
+  'AE Lock': 'AE ロック',
+  'Ambient Only': '定常光のみ',
+  'Flash': 'フラッシュ',
+  'Live View': 'ライブビュー',
+  'Capture Still': '静止画を取り込む',
+  'Open Image': '画像を開く',
+  'Record Frame {number}/{total}': '{number}/{total} コマ目を記録',
+  'Roll Full {total}/{total}': '撮影済み {total}/{total}',
+  'Overlay: {mode}': 'オーバーレイ：{mode}',
+  'Off': 'オフ',
+  'Zebra': 'ゼブラ',
+  'False Color': 'フォルスカラー',
+  'Clipped shadows': 'シャドウの黒つぶれ',
+  'Near black': '黒に近い',
+  'Zone V (18% gray)': 'ゾーン V（18% グレー）',
+  'Zone VI (+1 stop)': 'ゾーン VI（+1 段）',
+  'Near white': '白に近い',
+  'Clipped highlights': 'ハイライトの白とび',
+  'Center Spot': 'スポットを中央に',
+  'Metering Still Image': '静止画を測光中',
+  'Measuring Exposure': '測光中',
+  'Metered still': '測光中の静止画',
+  'Adjust Settings': '設定を調整',
+  'Chosen Shutter: {shutter}': '選択したシャッター：{shutter}',
+  'Chosen Aperture: {aperture}': '選択した絞り：{aperture}',
+  'Recommended Aperture': '推奨絞り',
+  'Recommended Shutter Speed': '推奨シャッタースピード',
+  '(Zone placement)': '（ゾーン配置）',
+  'Reciprocity ({film}): metered {metered} → expose {corrected} (+{stops} EV)': '相反則不軌（{film}）：測光値 {metered} → 露出 {corrected}（+{stops} EV）',
+  'Development: {change}% time': '現像：時間 {change}%',
+  'Beyond published data, extrapolated. Bracket this exposure.': '公表データの範囲外のため外挿値です。ブラケット撮影してください。',
+  'Current EV: {ev}': '現在の EV：{ev}',
+  'Scene: {description}': 'シーン：{description}',
+  'Scene Range: {range} stops': 'シーンの輝度域：{range} 段',
+  '{film} latitude: {latitude} stops': '{film} のラチチュード：{latitude} 段',
+  "Fits within the film's latitude with {stops} stops to spare.": 'フィルムのラチチュードに収まります（{stops} 段の余裕）。',
+  'Expose for the highlights: about {stops} stops of shadow detail will block up.': 'ハイライトに合わせて露出：シャドウのディテールが約 {stops} 段つぶれます。',
+  'Expose for the shadows: about {stops} stops of highlight detail will wash out.': 'シャドウに合わせて露出：ハイライトのディテールが約 {stops} 段とびます。',
+  'The phone camera clipped part of the scene, so the real range may be wider.': 'スマホのカメラがシーンの一部を飽和させているため、実際の輝度域はもっと広い可能性があります。',
+  'Bellows: m = {magnification}, ×{factor} (+{stops} EV)': 'ベローズ：m = {magnification}、×{factor}（+{stops} EV）',
+  'Film: {film} @ EI {iso}': 'フィルム：{film} @ EI {iso}',
+  'Pinhole: f/{fNumber}, exposure time computed continuously': 'ピンホール：f/{fNumber}、露出時間は連続値で計算',
+  'Kit: {kit}': '機材：{kit}',
+  'Filters: {filters} (×{factor}, −{stops} EV)': 'フィルター：{filters}（×{factor}、−{stops} EV）',
+  'Illuminance: {lux} lux ({footCandles} fc)': '照度：{lux} lx（{footCandles} fc）',
+  'Mode: {base}': 'モード：{base}',
+  'Metering: {mode}': '測光：{mode}',
+  'incident': '入射光式',
+  '{size}° at ({x}%, {y}%)': '{size}°、位置（{x}%、{y}%）',
+  'Using {mode} metering, {speedLabel} = {iso}, EV Compensation = {compensation}, Priority Mode = {priority}, {calibrationLabel} = {calibration}':
+    '{mode}測光、{speedLabel} = {iso}、露出補正 = {compensation}、優先モード = {priority}、{calibrationLabel} = {calibration}',
+  'Incident Calibration Factor': '入射光式のキャリブレーション係数',
+  'Calibration Factor': 'キャリブレーション係数',
+  'EV formula:': 'EV の計算式：',
+  'Exposure difference: {ev} EV': '露出の差：{ev} EV',
+  'Equivalent Exposures (EV {ev})': '同等の露出の組み合わせ（EV {ev}）',
+  'Aperture': '絞り',
+  'Shutter': 'シャッター',
+  'Out of range': '範囲外',
+
+  // バルブタイマー
+  'Bulb Timer': 'バルブタイマー',
+  'Cancel': 'キャンセル',
+  'Duration (s):': '時間（秒）：',
+  'Use Reading ({shutter})': '測光値を使う（{shutter}）',
+  'Start': '開始',
+  'Exposure complete. Close the shutter.': '露出完了。シャッターを閉じてください。',
+
+  // ロールの記録
+  'Unable to open the roll database in this browser.': 'このブラウザではロールのデータベースを開けません。',
+  'Unable to save the roll.': 'ロールを保存できません。',
+  'Unable to delete the roll.': 'ロールを削除できません。',
+  'Delete "{name}" and its {count} frames?': '「{name}」と {count} コマの記録を削除しますか？',
+  'Delete frame {number}?': '{number} コマ目を削除しますか？',
+  'New Roll': '新しいロール',
+  'Name:': '名前：',
+  'Optional': '任意',
+  'Film:': 'フィルム：',
+  'EI:': 'EI：',
+  'Frames:': '枚数：',
+  'Record GPS Location:': 'GPS 位置を記録：',
+  'Start Roll': 'ロールを開始',
+  'Scan File Names:': 'スキャンファイル名：',
+  '{nn} is the frame number, e.g. frame 1 → {fileName}': '{nn} はコマ番号です。例：1 コマ目 → {fileName}',
+  'Export XMP Sidecars': 'XMP サイドカーを書き出す',
+  'Export ExifTool CSV': 'ExifTool 用 CSV を書き出す',
+  '{used}/{total} frames': '{used}/{total} コマ',
+  'No frames recorded yet.': 'まだコマが記録されていません。',
+  'Frame {number}': '{number} コマ目',
+  'Note': 'メモ',
+  'Delete': '削除',
+  'All Rolls': 'すべてのロール',
+  'Finish Current Roll': '使用中のロールを終了',
+  'No rolls yet. Start one to log each frame you shoot.': 'まだロールがありません。ロールを開始すると撮影した各コマを記録できます。',
+  'Open': '開く',
+  'Load': '読み込む',
+
+  // ボディとレンズ
+  'Please enter a name and valid shutter speeds (fastest must not be slower than slowest).': '名前と有効なシャッタースピードを入力してください（最高速は最低速より遅くできません）。',
+  'A camera body named "{name}" already exists.': '「{name}」という名前のボディはすでにあります。',
+  'Please enter a name and valid apertures (maximum must not be smaller than minimum).': '名前と有効な絞りを入力してください（開放絞りは最小絞りより小さくできません）。',
+  'A lens named "{name}" already exists.': '「{name}」という名前のレンズはすでにあります。',
+  'Delete "{name}"?': '「{name}」を削除しますか？',
+  'New Camera Body': '新しいボディ',
+  'Shutter:': 'シャッター：',
+  'Range of standard speeds': '標準速度の範囲',
+  'Fixed list': '固定リスト',
+  'Fastest:': '最高速：',
+  'Slowest:': '最低速：',
+  'Bulb (B):': 'バルブ（B）：',
+  'Speeds:': '速度：',
+  'Save': '保存',
+  'New Lens': '新しいレンズ',
+  'Maximum Aperture (f/):': '開放絞り（f/）：',
+  'Minimum Aperture (f/):': '最小絞り（f/）：',
+  'Aperture Ring:': '絞りリング：',
+  'Full stops': '1 段',
+  'Half stops': '1/2 段',
+  'Third stops': '1/3 段',
+  'Bodies & Lenses': 'ボディとレンズ',
+  'New Body': '新しいボディ',
+  'Camera Bodies': 'ボディ',
+  'Lenses': 'レンズ',
+  'Back to Settings': '設定に戻る',
+
+  // フィルムの管理
+  'Please enter a name, a positive box speed and calibration factor, thresholds from 0 to 255 (under below over) and non-negative push / pull limits.': '名前、0 より大きい公称感度とキャリブレーション係数、0〜255 のしきい値（露出不足は露出過多より小さく）、0 以上の増感 / 減感段数を入力してください。',
+  'A film stock named "{name}" already exists.': '「{name}」という名前のフィルムはすでにあります。',
+  'Imported 1 film stock.': 'フィルムを 1 件読み込みました。',
+  'Imported {count} film stocks.': 'フィルムを {count} 件読み込みました。',
+  'Unable to import file. Please choose a film stock JSON export.': 'ファイルを読み込めません。書き出したフィルムの JSON ファイルを選んでください。',
+  'Film Stocks': 'フィルム',
+  'Box Speed (ISO)': '公称感度（ISO）',
+  'Over Exposure Threshold': '露出オーバーのしきい値',
+  'Under Exposure Threshold': '露出不足のしきい値',
+  'Recommended Compensation (EV)': '推奨補正（EV）',
+  'Exposure Latitude (stops)': '露出ラチチュード（段）',
+  'Max Push (stops)': '最大増感（段）',
+  'Max Pull (stops)': '最大減感（段）',
+  'Description:': '説明：',
+  'New Film Stock': '新しいフィルム',
+  'Export JSON': 'JSON を書き出す',
+  'Import JSON': 'JSON を読み込む',
+  'No custom film stocks yet. Create one or clone a built-in preset.': 'まだカスタムフィルムがありません。新しく作成するか、内蔵プリセットを複製してください。',
+  'Edit': '編集',
+  'Clone': '複製',
+  'Built-in Presets (read-only)': '内蔵プリセット（読み取り専用）',
+};
+
+export default ja;
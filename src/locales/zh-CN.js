@@ -0,0 +1,336 @@
+// locales/zh-CN.js
+// 简体中文界面文字：键为英文原文（见 i18n.js），{name} 占位符须原样保留
+const zhCN = {
+  // 页面 Meta 标签
+  'Film Camera Light Meter - Accurate Exposure Metering for Film Photography': '胶片相机测光表 - 为胶片摄影精确测光',
+  'An advanced film camera light meter app for accurate exposure metering using manual settings, center-weighted calculations, and real-time histogram analysis.':
+    '一款面向胶片相机的测光应用，支持手动设置、中央重点测光计算与实时直方图分析，帮助你准确曝光。',
+  'Film, Camera, Light Meter, Exposure, EV, Manual Exposure, ISO, Aperture, Shutter Speed, Histogram, Photography':
+    '胶片, 相机, 测光表, 曝光, EV, 手动曝光, ISO, 光圈, 快门速度, 直方图, 摄影',
+  'Film Camera Light Meter': '胶片相机测光表',
+  'Accurate exposure metering for film cameras using manual settings, center-weighted analysis and real-time histogram.':
+    '为胶片相机精确测光：手动设置、中央重点分析与实时直方图。',
+  'All rights reserved.': '保留所有权利。',
+  'Measurement system error': '测光系统出错',
+
+  // 快门速度与数值
+  '1/{denominator} sec': '1/{denominator} 秒',
+  '{hours}h {minutes}m': '{hours} 小时 {minutes} 分',
+  '{minutes}m {seconds}s': '{minutes} 分 {seconds} 秒',
+  '{seconds} sec': '{seconds} 秒',
+
+  // 曝光基准与测光结果
+  'Absolute (camera {shutter}, ISO {iso}, f/{fNumber})': '绝对测光（相机 {shutter}，ISO {iso}，f/{fNumber}）',
+  'Relative': '相对测光',
+  'Relative, camera compensation {compensation} EV removed': '相对测光，已扣除相机补偿 {compensation} EV',
+  'sky excluded': '已排除天空',
+  'backlight': '逆光',
+  'highlight protection': '高光保护',
+
+  // 场景与曝光提示
+  'Bright outdoor (Sunny)': '明亮户外（晴天）',
+  'Outdoor overcast / bright indoor': '户外阴天 / 明亮室内',
+  'Indoor (normal lighting)': '室内（正常照明）',
+  'Dim indoor / night street': '昏暗室内 / 夜间街道',
+  'Very low light': '极弱光',
+  'Extremely dark, increase ISO/aperture.': '极暗，请提高 ISO 或开大光圈。',
+  'Extremely bright! Reduce ISO or aperture.': '极亮！请降低 ISO 或收小光圈。',
+  'Severely underexposed, increase aperture or ISO significantly.': '严重欠曝，请大幅开大光圈或提高 ISO。',
+  'Moderately underexposed, consider increasing aperture or ISO.': '中度欠曝，建议开大光圈或提高 ISO。',
+  'Slightly underexposed, fine-tune settings.': '轻微欠曝，请微调设置。',
+  'Severely overexposed, reduce aperture or ISO significantly.': '严重过曝，请大幅收小光圈或降低 ISO。',
+  'Moderately overexposed, consider reducing aperture or ISO.': '中度过曝，建议收小光圈或降低 ISO。',
+  'Slightly overexposed, fine-tune settings.': '轻微过曝，请微调设置。',
+  'Measurement error': '测光出错',
+
+  // 测光模式说明
+  'center-weighted (Gaussian falloff)': '中央重点（高斯衰减）',
+  'average (full frame)': '平均（全画面）',
+  'evaluative (5×5 zones)': '评价（5×5 分区）',
+  'spot (tap to place)': '点测光（点击定位）',
+  'Zone System (multi-spot placement)': '区域系统（多点放置）',
+
+  // 区域系统
+  'Below 0': '低于 0',
+  'Above X': '高于 X',
+  'Zone {numeral}': '区域 {numeral}',
+  'Add Reading': '添加读数',
+  'Place anchor on:': '锚点放置于：',
+  'Clear': '清除',
+  'Live spot: {zone}': '实时点测：{zone}',
+  'Brightness range: {range} stops · Development: {development}': '亮度范围：{range} 档 · 显影：{development}',
+
+  // 闪光灯
+  'Guide Number (m, ISO 100):': '闪光指数（米，ISO 100）：',
+  'Power:': '功率：',
+  'Distance (m):': '距离（米）：',
+  'Sync Speed:': '同步速度：',
+  'Flash Aperture (ISO {iso}): {aperture} (exact f/{exact})': '闪光光圈（ISO {iso}）：{aperture}（精确值 f/{exact}）',
+  'Sync-safe Shutter: {shutter}': '同步安全快门：{shutter}',
+  'Ambient: {stops} EV · Flash:Ambient = {ratio}:1': '环境光：{stops} EV · 闪光:环境光 = {ratio}:1',
+  'Ambient light overpowers the flash at the sync speed. Stop down, add ND, or increase flash power.':
+    '在同步速度下环境光强于闪光。请收小光圈、加装 ND 镜或提高闪光功率。',
+  'Enter a guide number and subject distance.': '请输入闪光指数与被摄体距离。',
+
+  // 摄像头
+  'Unable to save the frame.': '无法保存该帧。',
+  'Camera {number}': '摄像头 {number}',
+  'iPhone camera may use auto-exposure. For best results, use manual compensation or calibration.':
+    'iPhone 摄像头可能使用自动曝光。为获得最佳结果，请使用手动补偿或校准。',
+  'Unable to access camera. Please check your permissions.': '无法访问摄像头，请检查权限设置。',
+  'Unable to switch camera.': '无法切换摄像头。',
+  'Language:': '语言：',
+  'Please allow access to your camera to start.': '请允许访问摄像头以开始测光。',
+  'Connecting...': '正在连接…',
+  'Allow Camera Access': '允许访问摄像头',
+  'Meter an Image File': '对图片文件测光',
+
+  // 设置界面
+  'Set ISO, Exposure Compensation, Priority & Metering Mode': '设置 ISO、曝光补偿、优先模式与测光模式',
+  'Note: Light metering is based on a standard 18% gray card (calibration factor adjustable).': '注：测光以标准 18% 灰卡为基准（校准系数可调）。',
+  'Camera:': '摄像头：',
+  'Each camera keeps its own calibration factor.': '每个摄像头分别保存各自的校准系数。',
+  'Phone Lens f-number:': '手机镜头 f 值：',
+  'Used for absolute metering when the camera reports its exposure time and ISO.': '摄像头报告曝光时间与 ISO 时，用于绝对测光。',
+  'Pin Camera Exposure:': '锁定摄像头曝光：',
+  'Exposure Time (ms):': '曝光时间（毫秒）：',
+  'Camera ISO:': '摄像头 ISO：',
+  'This camera does not support manual exposure.': '此摄像头不支持手动曝光。',
+  'Camera Body:': '机身：',
+  'Any (all shutter speeds)': '不限（所有快门速度）',
+  'Lens:': '镜头：',
+  'Any (all apertures)': '不限（所有光圈）',
+  'Manage Bodies & Lenses': '管理机身与镜头',
+  'Recommendations use only the speeds and apertures this kit can be set to.': '推荐值只使用这套器材可设置的快门速度与光圈。',
+  'Pinhole Camera': '针孔相机',
+  'Input:': '输入：',
+  'Pinhole Diameter': '针孔直径',
+  'f-number': 'f 值',
+  'Focal Length (mm):': '焦距（毫米）：',
+  'Pinhole Diameter (mm):': '针孔直径（毫米）：',
+  'f-number:': 'f 值：',
+  'optimal pinhole for {focalLength} mm: {diameter} mm (f/{fNumber})': '{focalLength} 毫米的最佳针孔：{diameter} 毫米（f/{fNumber}）',
+  'Enter a focal length and pinhole diameter, or an f-number.': '请输入焦距与针孔直径，或直接输入 f 值。',
+  'Stop Increment:': '档位刻度：',
+  'Full Stops': '整档',
+  '1/2 Stops': '1/2 档',
+  '1/3 Stops': '1/3 档',
+  'Exposure Index:': '曝光指数（EI）：',
+  'Box speed ISO {boxSpeed}': '标称感光度 ISO {boxSpeed}',
+  '{pushPull} stops': '{pushPull} 档',
+  'no push/pull': '无增感 / 减感',
+  'push +{value}': '增感 +{value}',
+  'pull {value}': '减感 {value}',
+  'beyond the {stops}-stop push {film} tolerates': '超出 {film} 可承受的 {stops} 档增感',
+  'beyond the {stops}-stop pull {film} tolerates': '超出 {film} 可承受的 {stops} 档减感',
+  'Exposure Compensation:': '曝光补偿：',
+  'Lens Filters:': '镜头滤镜：',
+  'Add filter…': '添加滤镜…',
+  'ND 0.3 (1 stop)': 'ND 0.3（1 档）',
+  'ND 0.6 (2 stops)': 'ND 0.6（2 档）',
+  'ND 0.9 (3 stops)': 'ND 0.9（3 档）',
+  'ND 1.8 (6 stops)': 'ND 1.8（6 档）',
+  'ND 3.0 (10 stops)': 'ND 3.0（10 档）',
+  'Polarizer': '偏振镜',
+  'Yellow #8': '黄色 #8',
+  'Yellow-Green #11': '黄绿色 #11',
+  'Orange #21': '橙色 #21',
+  'Red #25': '红色 #25',
+  'Deep Red #29': '深红色 #29',
+  'Close-up / Bellows Compensation': '近摄 / 皮腔补偿',
+  'Extension (mm)': '延伸量（毫米）',
+  'Magnification': '放大倍率',
+  'Extension beyond infinity (mm):': '超出无限远的延伸量（毫米）：',
+  'Magnification (m):': '放大倍率（m）：',
+  'm = {magnification}, bellows factor (1+m)² = ×{factor} (+{stops} EV)': 'm = {magnification}，皮腔系数 (1+m)² = ×{factor}（+{stops} EV）',
+  'Calibration Factor:': '校准系数：',
+  'Auto Calibrate Gray Card': '灰卡自动校准',
+  'Light Measurement:': '测光方式：',
+  'Reflected': '反射式',
+  'Incident (Diffuser over Lens)': '入射式（镜头前加扩散片）',
+  'Incident Calibration Factor:': '入射式校准系数：',
+  'Cover the lens with white paper or half a ping-pong ball and point it from the subject toward the light.':
+    '用白纸或半个乒乓球盖住镜头，从被摄体位置朝向光源。',
+  'Priority Mode:': '优先模式：',
+  'Shutter Priority': '快门优先',
+  'Aperture Priority': '光圈优先',
+  'Chosen Aperture:': '选定光圈：',
+  'Chosen Shutter:': '选定快门：',
+  'Metering Mode:': '测光模式：',
+  'Center Weighted (Gaussian Weighting)': '中央重点（高斯加权）',
+  'Average (Full Frame)': '平均（全画面）',
+  'Evaluative (Multi-zone)': '评价（多分区）',
+  'Spot Meter (Tap to Place)': '点测光（点击定位）',
+  'Zone System (Multi-spot Placement)': '区域系统（多点放置）',
+  'Spot Size:': '测光点大小：',
+  'Center Falloff (σ, fraction of frame):': '中央衰减（σ，占画面比例）：',
+  'Color Channel Mode:': '颜色通道模式：',
+  'Combined': '合并',
+  'RGB Overlay': 'RGB 叠加',
+  'Separate': '分离',
+  'Histogram Log Scale:': '直方图对数刻度：',
+  'Film Preset:': '胶片预设：',
+  'Custom': '自定义',
+  'Built-in': '内置',
+  'My Film Stocks': '我的胶片',
+  'Manage Film Stocks': '管理胶片',
+  'Rolls': '胶卷',
+  'Current roll: {name} ({used}/{total})': '当前胶卷：{name}（{used}/{total}）',
+  'EV Smoothing Factor:': 'EV 平滑系数：',
+  'Over Exposure Threshold:': '过曝阈值：',
+  'Under Exposure Threshold:': '欠曝阈值：',
+  'Confirm & Start Metering': '确认并开始测光',
+
+  // 测光界面
+  'Back': '返回',
+  'Unlock AE': '解锁 AE',
+  'AE Lock': 'AE 锁定',
+  'Ambient Only': '仅环境光',
+  'Flash': '闪光灯',
+  'Live View': '实时画面',
+  'Capture Still': '截取画面',
+  'Open Image': '打开图片',
+  'Record Frame {number}/{total}': '记录第 {number}/{total} 帧',
+  'Roll Full {total}/{total}': '胶卷已拍完 {total}/{total}',
+  'Overlay: {mode}': '叠加：{mode}',
+  'Off': '关',
+  'Zebra': '斑马纹',
+  'False Color': '伪色',
+  'Clipped shadows': '暗部溢出',
+  'Near black': '接近黑',
+  'Zone V (18% gray)': '区域 V（18% 灰）',
+  'Zone VI (+1 stop)': '区域 VI（+1 档）',
+  'Near white': '接近白',
+  'Clipped highlights': '高光溢出',
+  'Center Spot': '测光点居中',
+  'Metering Still Image': '静态图片测光',
+  'Measuring Exposure': '正在测光',
+  'Metered still': '测光图片',
+  'Adjust Settings': '调整设置',
+  'Chosen Shutter: {shutter}': '选定快门：{shutter}',
+  'Chosen Aperture: {aperture}': '选定光圈：{aperture}',
+  'Recommended Aperture': '推荐光圈',
+  'Recommended Shutter Speed': '推荐快门速度',
+  '(Zone placement)': '（区域放置）',
+  'Reciprocity ({film}): metered {metered} → expose {corrected} (+{stops} EV)': '倒易律（{film}）：测得 {metered} → 曝光 {corrected}（+{stops} EV）',
+  'Development: {change}% time': '显影：时间 {change}%',
+  'Beyond published data, extrapolated. Bracket this exposure.': '超出公布数据，为外推值。请包围曝光。',
+  'Current EV: {ev}': '当前 EV：{ev}',
+  'Scene: {description}': '场景：{description}',
+  'Scene Range: {range} stops': '场景亮度范围：{range} 档',
+  '{film} latitude: {latitude} stops': '{film} 宽容度：{latitude} 档',
+  "Fits within the film's latitude with {stops} stops to spare.": '在胶片宽容度之内，尚余 {stops} 档。',
+  'Expose for the highlights: about {stops} stops of shadow detail will block up.': '按高光曝光：约 {stops} 档暗部细节将变为死黑。',
+  'Expose for the shadows: about {stops} stops of highlight detail will wash out.': '按暗部曝光：约 {stops} 档高光细节将溢出。',
+  'The phone camera clipped part of the scene, so the real range may be wider.': '手机摄像头截断了部分场景，实际亮度范围可能更大。',
+  'Bellows: m = {magnification}, ×{factor} (+{stops} EV)': '皮腔：m = {magnification}，×{factor}（+{stops} EV）',
+  'Film: {film} @ EI {iso}': '胶片：{film} @ EI {iso}',
+  'Pinhole: f/{fNumber}, exposure time computed continuously': '针孔：f/{fNumber}，曝光时间连续计算',
+  'Kit: {kit}': '器材：{kit}',
+  'Filters: {filters} (×{factor}, −{stops} EV)': '滤镜：{filters}（×{factor}，−{stops} EV）',
+  'Illuminance: {lux} lux ({footCandles} fc)': '照度：{lux} 勒克斯（{footCandles} 英尺烛光）',
+  'Mode: {base}': '模式：{base}',
+  'Metering: {mode}': '测光：{mode}',
+  'incident': '入射式',
+  '{size}° at ({x}%, {y}%)': '{size}°，位于（{x}%，{y}%）',
+  'Using {mode} metering, {speedLabel} = {iso}, EV Compensation = {compensation}, Priority Mode = {priority}, {calibrationLabel} = {calibration}':
+    '使用{mode}测光，{speedLabel} = {iso}，曝光补偿 = {compensation}，优先模式 = {priority}，{calibrationLabel} = {calibration}',
+  'Incident Calibration Factor': '入射式校准系数',
+  'Calibration Factor': '校准系数',
+  'EV formula:': 'EV 公式：',
+  'Exposure difference: {ev} EV': '曝光差：{ev} EV',
+  'Equivalent Exposures (EV {ev})': '等效曝光组合（EV {ev}）',
+  'Aperture': '光圈',
+  'Shutter': '快门',
+  'Out of range': '超出范围',
+
+  // B 门计时器
+  'Bulb Timer': 'B 门计时器',
+  'Cancel': '取消',
+  'Duration (s):': '时长（秒）：',
+  'Use Reading ({shutter})': '使用读数（{shutter}）',
+  'Start': '开始',
+  'Exposure complete. Close the shutter.': '曝光完成，请关闭快门。',
+
+  // 胶卷记录
+  'Unable to open the roll database in this browser.': '无法在此浏览器中打开胶卷数据库。',
+  'Unable to save the roll.': '无法保存胶卷。',
+  'Unable to delete the roll.': '无法删除胶卷。',
+  'Delete "{name}" and its {count} frames?': '删除“{name}”及其 {count} 帧记录？',
+  'Delete frame {number}?': '删除第 {number} 帧？',
+  'New Roll': '新建胶卷',
+  'Name:': '名称：',
+  'Optional': '可选',
+  'Film:': '胶片：',
+  'EI:': 'EI：',
+  'Frames:': '张数：',
+  'Record GPS Location:': '记录 GPS 位置：',
+  'Start Roll': '开始使用',
+  'Scan File Names:': '扫描文件名：',
+  '{nn} is the frame number, e.g. frame 1 → {fileName}': '{nn} 为帧号，例如第 1 帧 → {fileName}',
+  'Export XMP Sidecars': '导出 XMP 附属文件',
+  'Export ExifTool CSV': '导出 ExifTool CSV',
+  '{used}/{total} frames': '{used}/{total} 帧',
+  'No frames recorded yet.': '尚未记录任何帧。',
+  'Frame {number}': '第 {number} 帧',
+  'Note': '备注',
+  'Delete': '删除',
+  'All Rolls': '全部胶卷',
+  'Finish Current Roll': '结束当前胶卷',
+  'No rolls yet. Start one to log each frame you shoot.': '还没有胶卷。新建一卷来记录拍摄的每一帧。',
+  'Open': '打开',
+  'Load': '载入',
+
+  // 机身与镜头
+  'Please enter a name and valid shutter speeds (fastest must not be slower than slowest).': '请输入名称与有效的快门速度（最快速度不能慢于最慢速度）。',
+  'A camera body named "{name}" already exists.': '已存在名为“{name}”的机身。',
+  'Please enter a name and valid apertures (maximum must not be smaller than minimum).': '请输入名称与有效的光圈（最大光圈不能小于最小光圈）。',
+  'A lens named "{name}" already exists.': '已存在名为“{name}”的镜头。',
+  'Delete "{name}"?': '删除“{name}”？',
+  'New Camera Body': '新建机身',
+  'Shutter:': '快门：',
+  'Range of standard speeds': '标准速度范围',
+  'Fixed list': '固定列表',
+  'Fastest:': '最快：',
+  'Slowest:': '最慢：',
+  'Bulb (B):': 'B 门：',
+  'Speeds:': '速度：',
+  'Save': '保存',
+  'New Lens': '新建镜头',
+  'Maximum Aperture (f/):': '最大光圈（f/）：',
+  'Minimum Aperture (f/):': '最小光圈（f/）：',
+  'Aperture Ring:': '光圈环：',
+  'Full stops': '整档',
+  'Half stops': '半档',
+  'Third stops': '三分之一档',
+  'Bodies & Lenses': '机身与镜头',
+  'New Body': '新建机身',
+  'Camera Bodies': '机身',
+  'Lenses': '镜头',
+  'Back to Settings': '返回设置',
+
+  // 胶片管理
+  'Please enter a name, a positive box speed and calibration factor, thresholds from 0 to 255 (under below over) and non-negative push / pull limits.': '请输入名称、大于零的标称 ISO 与校准系数、0–255 之间的阈值（欠曝低于过曝）以及不为负的增感 / 减感档数。',
+  'A film stock named "{name}" already exists.': '已存在名为“{name}”的胶片。',
+  'Imported 1 film stock.': '已导入 1 种胶片。',
+  'Imported {count} film stocks.': '已导入 {count} 种胶片。',
+  'Unable to import file. Please choose a film stock JSON export.': '无法导入文件，请选择导出的胶片 JSON 文件。',
+  'Film Stocks': '胶片',
+  'Box Speed (ISO)': '标称感光度（ISO）',
+  'Over Exposure Threshold': '过曝阈值',
+  'Under Exposure Threshold': '欠曝阈值',
+  'Recommended Compensation (EV)': '推荐补偿（EV）',
+  'Exposure Latitude (stops)': '曝光宽容度（档）',
+  'Max Push (stops)': '最大增感（档）',
+  'Max Pull (stops)': '最大减感（档）',
+  'Description:': '说明：',
+  'New Film Stock': '新建胶片',
+  'Export JSON': '导出 JSON',
+  'Import JSON': '导入 JSON',
+  'No custom film stocks yet. Create one or clone a built-in preset.': '还没有自定义胶片。新建一种，或克隆内置预设。',
+  'Edit': '编辑',
+  'Clone': '克隆',
+  'Built-in Presets (read-only)': '内置预设（只读）',
+};
+
+export default zhCN;
@@ -0,0 +1,42 @@
+// meter.worker.js
+/* eslint-env es2020 */
+import { analyzeFrame, buildExposureOverlay } from './frameAnalysis.js';
+
+// 复用同一个 OffscreenCanvas，只在帧尺寸变化时调整大小
+let canvas = null;
+let ctx = null;
+
+async function analyzeBitmap(bitmap, options) {
+  const { width, height } = bitmap;
+  if (!canvas) {
+    canvas = new OffscreenCanvas(width, height);
+    ctx = canvas.getContext('2d', { willReadFrequently: true });
+  } else if (canvas.width !== width || canvas.height !== height) {
+    canvas.width = width;
+    canvas.height = height;
+  }
+  ctx.drawImage(bitmap, 0, 0);
+  const { data } = ctx.getImageData(0, 0, width, height);
+  const result = analyzeFrame(data, width, height, options);
+  const { luma, red, green, blue } = result.histograms;
+  const transfer = [luma.buffer, red.buffer, green.buffer, blue.buffer];
+  if (options.overlayMode && options.overlayMode !== 'off') {
+    const overlay = buildExposureOverlay(data, width, height, { ...options, phase: Math.floor(performance.now() / 100) });
+    result.overlay = await createImageBitmap(new ImageData(overlay, width, height));
+    transfer.push(result.overlay);
+  }
+  return { result, transfer };
+}
+
+// 收到 { bitmap, options }：绘制、读取像素并分析，直方图缓冲区与叠加层转移回主线程
+// 出错时回复 { error }，由主线程改为在主线程分析（异步函数中的异常不会触发 worker.onerror）
+globalThis.onmessage = async ({ data: { bitmap, options } }) => {
+  try {
+    const { result, transfer } = await analyzeBitmap(bitmap, options);
+    globalThis.postMessage(result, transfer);
+  } catch (err) {
+    globalThis.postMessage({ error: err instanceof Error ? err.message : String(err) });
+  } finally {
+    bitmap.close();
+  }
+};
@@ -0,0 +1,153 @@
+// meterPipeline.js
+// 帧采集管线：由 requestVideoFrameCallback 驱动，每帧只截取一次，交给 Web Worker 分析
+import { analyzeFrame, getAnalysisSize, buildExposureOverlay } from './frameAnalysis.js';
+
+// 两次分析之间的最小间隔（毫秒）；上一帧仍在分析时直接跳过新帧
+const ANALYSIS_INTERVAL_MS = 100;
+// Worker 超过该时间（毫秒）仍未回复时视为失去响应，改在主线程分析
+const WORKER_TIMEOUT_MS = 3000;
+
+/****************************************************
+ * 测光画面来源：实时 <video> 或静态图片 <img>
+ * 视频须正在播放且有完整帧，图片须已加载完成
+ ****************************************************/
+export function getSourceSize(source) {
+  if (!source) return { width: 0, height: 0 };
+  return source.tagName === 'IMG'
+    ? { width: source.naturalWidth, height: source.naturalHeight }
+    : { width: source.videoWidth, height: source.videoHeight };
+}
+
+export function isSourceReady(source) {
+  if (!source) return false;
+  if (source.tagName === 'IMG') return source.complete && source.naturalWidth > 0;
+  return source.readyState === 4 && !source.paused && source.videoWidth > 0 && source.videoHeight > 0;
+}
+
+function supportsWorkerAnalysis() {
+  return typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined' && typeof createImageBitmap !== 'undefined';
+}
+
+/****************************************************
+ * 启动帧分析管线，返回停止函数
+ * getSource()：当前画面；getOptions()：测光设置，每帧读取，设置变化无需重建管线
+ * onResult(result, options)：analyzeFrame 的结果及其所用的设置；
+ *   options.overlayMode 不为 'off' 时 result.overlay 为叠加层（Worker 中为 ImageBitmap，主线程回退时为 ImageData）
+ * 视频支持 requestVideoFrameCallback 时按新帧触发，静态图片或不支持时用定时器
+ * 不支持 Worker / OffscreenCanvas，截取 ImageBitmap 失败，Worker 报错或失去响应时，改在主线程分析
+ ****************************************************/
+export function startFramePipeline(getSource, getOptions, onResult) {
+  let stopped = false;
+  let busy = false;
+  let lastFrameTime = -Infinity;
+  let useWorker = supportsWorkerAnalysis();
+  let worker = null;
+  let pendingOptions = null;
+  let fallbackCanvas = null;
+  let timerId = null;
+  let videoFrameRequest = null;
+  let watchdogId = null;
+
+  function stopWorker() {
+    clearTimeout(watchdogId);
+    if (worker) worker.terminate();
+    worker = null;
+    useWorker = false;
+    busy = false;
+  }
+
+  if (useWorker) {
+    import('./createMeterWorker.js')
+      .then(({ default: createMeterWorker }) => {
+        if (stopped) return;
+        worker = createMeterWorker();
+        worker.onmessage = ({ data }) => {
+          clearTimeout(watchdogId);
+          if (data.error) {
+            console.error('Meter worker analysis error:', data.error);
+            stopWorker();
+            return;
+          }
+          busy = false;
+          if (!stopped) onResult(data, pendingOptions);
+        };
+        worker.onerror = (err) => {
+          console.error('Meter worker error:', err);
+          stopWorker();
+        };
+      })
+      .catch(err => {
+        console.error('Meter worker load error:', err);
+        useWorker = false;
+      });
+  }
+
+  async function analyze(source) {
+    const { width: sourceWidth, height: sourceHeight } = getSourceSize(source);
+    const { width, height } = getAnalysisSize(sourceWidth, sourceHeight);
+    const options = { ...getOptions(), sourceWidth, sourceHeight };
+    if (worker) {
+      const bitmap = await createImageBitmap(source, { resizeWidth: width, resizeHeight: height });
+      if (stopped) {
+        bitmap.close();
+        return;
+      }
+      pendingOptions = options;
+      worker.postMessage({ bitmap, options }, [bitmap]);
+      watchdogId = setTimeout(() => {
+        console.error('Meter worker timed out');
+        stopWorker();
+      }, WORKER_TIMEOUT_MS);
+      return;
+    }
+    if (!fallbackCanvas) fallbackCanvas = document.createElement('canvas');
+    fallbackCanvas.width = width;
+    fallbackCanvas.height = height;
+    const ctx = fallbackCanvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(source, 0, 0, width, height);
+    const { data } = ctx.getImageData(0, 0, width, height);
+    const result = analyzeFrame(data, width, height, options);
+    if (options.overlayMode && options.overlayMode !== 'off') {
+      const overlay = buildExposureOverlay(data, width, height, { ...options, phase: Math.floor(performance.now() / 100) });
+      result.overlay = new ImageData(overlay, width, height);
+    }
+    busy = false;
+    onResult(result, options);
+  }
+
+  function tick(now) {
+    if (stopped) return;
+    const source = getSource();
+    // Worker 仍在加载时先不分析，避免首帧落到主线程
+    const ready = !useWorker || worker;
+    if (ready && !busy && isSourceReady(source) && now - lastFrameTime >= ANALYSIS_INTERVAL_MS) {
+      lastFrameTime = now;
+      busy = true;
+      analyze(source).catch(err => {
+        console.error('Frame analysis error:', err);
+        if (worker) stopWorker();
+        busy = false;
+      });
+    }
+    schedule(source);
+  }
+
+  function schedule(source) {
+    if (source && source.tagName === 'VIDEO' && source.requestVideoFrameCallback && isSourceReady(source)) {
+      videoFrameRequest = { source, handle: source.requestVideoFrameCallback(tick) };
+    } else {
+      videoFrameRequest = null;
+      timerId = setTimeout(() => tick(performance.now()), ANALYSIS_INTERVAL_MS);
+    }
+  }
+
+  schedule(getSource());
+
+  return () => {
+    stopped = true;
+    clearTimeout(timerId);
+    clearTimeout(watchdogId);
+    if (videoFrameRequest) videoFrameRequest.source.cancelVideoFrameCallback(videoFrameRequest.handle);
+    if (worker) worker.terminate();
+  };
+}
@@ -0,0 +1,114 @@
+// rollStore.js
+// 胶卷拍摄记录：每卷胶片及其逐帧曝光数据保存在 IndexedDB 中，离线可用
+
+const DB_NAME = 'lightMeterRolls';
+const DB_VERSION = 1;
+const ROLL_STORE = 'rolls';
+const THUMBNAIL_WIDTH = 160;
+
+export const frameCountOptions = [12, 24, 36];
+
+let dbPromise = null;
+
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(ROLL_STORE, { keyPath: 'id', autoIncrement: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+// 将单个对象仓库请求包装为 Promise
+async function runRequest(mode, operation) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const request = operation(db.transaction(ROLL_STORE, mode).objectStore(ROLL_STORE));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// 最新的胶卷排在前面
+export async function listRolls() {
+  const rolls = await runRequest('readonly', store => store.getAll());
+  return rolls.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+export async function getRoll(id) {
+  return (await runRequest('readonly', store => store.get(id))) || null;
+}
+
+// 新胶卷没有 id，保存后由 IndexedDB 自动分配
+export async function saveRoll(roll) {
+  const id = await runRequest('readwrite', store => store.put(roll));
+  return { ...roll, id };
+}
+
+export function deleteRoll(id) {
+  return runRequest('readwrite', store => store.delete(id));
+}
+
+/****************************************************
+ * 串行队列：任务按提交顺序逐个运行，前一个结束（无论成败）后才开始下一个
+ * 记录帧时「读取胶卷 → 追加 → 保存」放入同一队列，连续点击也不会互相覆盖
+ ****************************************************/
+export function createSerialQueue() {
+  let tail = Promise.resolve();
+  return task => {
+    const run = tail.then(() => task());
+    tail = run.catch(() => {});
+    return run;
+  };
+}
+
+export function createRoll({ name, filmName, boxSpeed = null, exposureIndex, frameCount, recordLocation = false }) {
+  return {
+    name: name.trim() || `Roll ${new Date().toLocaleDateString()}`,
+    filmName,
+    boxSpeed,
+    exposureIndex,
+    frameCount,
+    recordLocation,
+    createdAt: Date.now(),
+    frames: [],
+  };
+}
+
+/****************************************************
+ * 读取当前位置 { latitude, longitude }
+ * 不支持、被拒绝或超时时返回 null，不影响记录
+ ****************************************************/
+export function getCurrentLocation(timeout = 10000) {
+  if (!navigator.geolocation) return Promise.resolve(null);
+  return new Promise(resolve => {
+    navigator.geolocation.getCurrentPosition(
+      ({ coords }) => resolve({ latitude: coords.latitude, longitude: coords.longitude }),
+      () => resolve(null),
+      { enableHighAccuracy: true, timeout, maximumAge: 60000 }
+    );
+  });
+}
+
+/****************************************************
+ * 从当前测光画面（视频或静态图片）截取缩略图（JPEG data URL）
+ * 画面尚未就绪时返回 null
+ ****************************************************/
+export function captureThumbnail(source) {
+  const width = source ? source.videoWidth || source.naturalWidth : 0;
+  const height = source ? source.videoHeight || source.naturalHeight : 0;
+  if (!width || !height) return null;
+  const canvas = document.createElement('canvas');
+  canvas.width = THUMBNAIL_WIDTH;
+  canvas.height = Math.round((height / width) * THUMBNAIL_WIDTH);
+  canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+  return canvas.toDataURL('image/jpeg', 0.7);
+}
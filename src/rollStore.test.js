@@ -0,0 +1,34 @@
+import { createRoll, createSerialQueue } from './rollStore.js';
+
+test('creates an empty roll with a default name', () => {
+  const roll = createRoll({ name: '  ', filmName: 'Kodak Portra 400', exposureIndex: 200, frameCount: 36 });
+  expect(roll).toMatchObject({ filmName: 'Kodak Portra 400', exposureIndex: 200, frameCount: 36, frames: [] });
+  expect(roll.name).toMatch(/^Roll /);
+  expect(roll.id).toBeUndefined();
+});
+
+test('runs queued frame saves one at a time', async () => {
+  const enqueue = createSerialQueue();
+  const frames = [];
+  let running = 0;
+  const saveFrame = async (number, delay) => {
+    running += 1;
+    expect(running).toBe(1);
+    await new Promise(resolve => setTimeout(resolve, delay));
+    frames.push(number);
+    running -= 1;
+    return number;
+  };
+  // 第一次点击较慢（如等待定位），第二次点击必须等它保存完
+  const results = await Promise.all([enqueue(() => saveFrame(1, 20)), enqueue(() => saveFrame(2, 0))]);
+  expect(results).toEqual([1, 2]);
+  expect(frames).toEqual([1, 2]);
+});
+
+test('keeps the queue running after a failed save', async () => {
+  const enqueue = createSerialQueue();
+  const failed = enqueue(() => Promise.reject(new Error('quota exceeded')));
+  const next = enqueue(() => 'saved');
+  await expect(failed).rejects.toThrow('quota exceeded');
+  await expect(next).resolves.toBe('saved');
+});